@@ -4,230 +4,3010 @@
 window.dataLayer = window.dataLayer || [];
 
 // =========================
-// Helper: pusha till dataLayer
+// Consent (Google Consent Mode v2)
 // =========================
-function pushToDataLayer(event, data) {
-  const payload = {
-    event: event,
-    ...data,
-    timestamp: new Date().toISOString()
-  };
+// data-layer.js laddas i <head> före GTM-snippeten, så "default" hamnar
+// i dataLayer innan gtm.js hinner läsa den.
+window.gtag = window.gtag || function () { window.dataLayer.push(arguments); };
 
-  window.dataLayer.push(payload);
+const CONSENT_STORAGE_KEY = "au_consent";
+const CONSENT_VERSION = 1;
+const CONSENT_QUEUE_MAX = 100;
 
-  // Debug
-  console.log("📊 dataLayer push:", payload);
+// Kategori i bannern -> Consent Mode-signaler
+const CONSENT_CATEGORIES = {
+  analytics: ["analytics_storage"],
+  ads: ["ad_storage", "ad_user_data", "ad_personalization"]
+};
+
+let consentState = readStoredConsent(); // null = inget beslut ännu
+const consentQueue = [];
+const consentListeners = [];
+
+function readStoredConsent() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY) || "null");
+    if (!stored || stored.version !== CONSENT_VERSION) return null;
+    return stored;
+  } catch {
+    return null;
+  }
 }
 
-// =========================
-// Helpers
-// =========================
-function safeText(str, max = 80) {
-  if (!str) return "";
-  return String(str).trim().replace(/\s+/g, " ").slice(0, max);
+function consentSignals(categories) {
+  const signals = {};
+  Object.keys(CONSENT_CATEGORIES).forEach(cat => {
+    const value = categories.includes(cat) ? "granted" : "denied";
+    CONSENT_CATEGORIES[cat].forEach(signal => { signals[signal] = value; });
+  });
+  return signals;
 }
 
-function cssPath(el) {
+function hasConsent(category) {
+  return Boolean(consentState && consentState.categories.includes(category));
+}
+
+function setConsent(categories) {
+  const valid = categories.filter(cat => cat in CONSENT_CATEGORIES);
+
+  consentState = {
+    version: CONSENT_VERSION,
+    categories: valid,
+    updated_at: new Date().toISOString()
+  };
+
   try {
-    if (!el || el.nodeType !== 1) return "";
-    const parts = [];
-    let cur = el;
-    while (cur && cur.nodeType === 1 && parts.length < 7) {
-      let part = cur.nodeName.toLowerCase();
-      if (cur.id) {
-        part += `#${cur.id}`;
-        parts.unshift(part);
-        break;
-      }
-      if (cur.classList && cur.classList.length) {
-        part += "." + Array.from(cur.classList).slice(0, 2).join(".");
-      }
-      parts.unshift(part);
-      cur = cur.parentElement;
-    }
-    return parts.join(" > ");
+    localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(consentState));
   } catch {
-    return "";
+    // Privat läge / blockerad storage: beslutet gäller bara denna sidvisning
+  }
+
+  window.gtag("consent", "update", consentSignals(valid));
+  document.getElementById("au-consent")?.remove();
+
+  // Töm kön: skicka om analytics godkänts, annars släng
+  const queued = consentQueue.splice(0, consentQueue.length);
+  if (hasConsent("analytics")) {
+    queued.forEach(deliverToDataLayer);
+  } else {
+    queued.forEach(payload => logPush(payload, "blocked", "consent denied"));
   }
+
+  consentListeners.forEach(fn => {
+    try { fn(consentState); } catch (err) { console.error(err); }
+  });
 }
 
-function safeAbsUrl(href) {
-  if (!href) return "";
+// Default: allt nekat tills besökaren bestämt sig
+window.gtag("consent", "default", {
+  ...consentSignals([]),
+  wait_for_update: 500
+});
+
+if (consentState) {
+  window.gtag("consent", "update", consentSignals(consentState.categories));
+}
+
+window.auConsent = {
+  categories: Object.keys(CONSENT_CATEGORIES),
+
+  grant(categories) {
+    setConsent(categories ? [].concat(categories) : Object.keys(CONSENT_CATEGORIES));
+  },
+
+  deny() {
+    setConsent([]);
+  },
+
+  status() {
+    return consentState ? consentState.categories.slice() : null;
+  },
+
+  isPending() {
+    return consentState === null;
+  },
+
+  reset() {
+    consentState = null;
+    try {
+      localStorage.removeItem(CONSENT_STORAGE_KEY);
+    } catch {
+      // ignore
+    }
+    // Tillbaka till default (allt nekat) tills ett nytt beslut tas
+    window.gtag("consent", "update", consentSignals([]));
+    renderConsentBanner();
+  },
+
+  onChange(fn) {
+    if (typeof fn === "function") consentListeners.push(fn);
+  }
+};
+
+// =========================
+// Session + attribution (first/last touch)
+// =========================
+// Sessionen bryts efter 30 min inaktivitet eller när besökaren kommer in via en ny kampanj.
+// Sparas bara i localStorage om analytics är godkänt, annars lever den i minnet för sidvisningen.
+const SESSION_STORAGE_KEY = "au_session";
+const ATTRIBUTION_STORAGE_KEY = "au_attribution";
+const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+
+const SOCIAL_HOSTS = [
+  "facebook.com", "instagram.com", "linkedin.com", "lnkd.in", "t.co", "x.com",
+  "twitter.com", "tiktok.com", "pinterest.", "youtube.com", "reddit.com", "threads.net"
+];
+const SOCIAL_SOURCES = /^(facebook|fb|instagram|ig|linkedin|twitter|x|tiktok|pinterest|youtube|reddit|threads)$/;
+const SEARCH_HOSTS = [
+  "google.", "bing.com", "duckduckgo.com", "yahoo.", "ecosia.org", "baidu.com", "yandex.", "startpage.com"
+];
+
+function readStorageJson(key) {
   try {
-    return new URL(href, window.location.href).href;
+    return JSON.parse(localStorage.getItem(key) || "null");
   } catch {
-    return "";
+    return null;
   }
 }
 
-function isOutbound(url) {
+function writeStorageJson(key, value) {
   try {
-    const u = new URL(url);
-    return u.host !== window.location.host;
+    localStorage.setItem(key, JSON.stringify(value));
   } catch {
-    return false;
+    // ignore
   }
 }
 
-function getExtension(url) {
+function hostMatches(host, list) {
+  return list.some(entry => entry.endsWith(".")
+    ? host.includes(entry)
+    : host === entry || host.endsWith(`.${entry}`));
+}
+
+function classifyChannel({ medium, source, gclid, fbclid, referrerHost }) {
+  const m = (medium || "").toLowerCase();
+  const src = (source || "").toLowerCase();
+
+  if (gclid || /^(cpc|ppc|paid|paidsearch|paid_social)$/.test(m)) return "paid";
+  if (m === "email" || m === "newsletter") return "email";
+  if (fbclid || m === "social" || SOCIAL_SOURCES.test(src) || hostMatches(referrerHost, SOCIAL_HOSTS)) return "social";
+  if (m === "organic" || hostMatches(referrerHost, SEARCH_HOSTS)) return "organic";
+  if (!src && !referrerHost) return "direct";
+  return "referral";
+}
+
+// Touch för den här sidvisningen. null = intern navigering (ingen ny touch).
+function currentTouch() {
+  const params = new URLSearchParams(window.location.search);
+
+  let referrerHost = "";
   try {
-    const clean = String(url).split("?")[0].split("#")[0];
-    const last = clean.split("/").pop() || "";
-    return last.includes(".")
-      ? last.split(".").pop().toLowerCase()
-      : "";
+    referrerHost = document.referrer ? new URL(document.referrer).hostname.replace(/^www\./, "") : "";
   } catch {
-    return "";
+    referrerHost = "";
   }
+  if (referrerHost === window.location.hostname.replace(/^www\./, "")) referrerHost = "";
+
+  const utm = {
+    source: params.get("utm_source") || "",
+    medium: params.get("utm_medium") || "",
+    campaign: params.get("utm_campaign") || "",
+    term: params.get("utm_term") || "",
+    content: params.get("utm_content") || ""
+  };
+  const gclid = params.get("gclid") || "";
+  const fbclid = params.get("fbclid") || "";
+  const isCampaign = Boolean(utm.source || utm.medium || utm.campaign || gclid || fbclid);
+
+  // Kom från en annan sida på sajten utan kampanjparametrar
+  if (!isCampaign && !referrerHost && document.referrer) return null;
+
+  const channel = classifyChannel({ ...utm, gclid, fbclid, referrerHost });
+  const defaultMedium = { paid: "cpc", social: "social", organic: "organic", referral: "referral", email: "email", direct: "(none)" };
+
+  return {
+    source: utm.source || (gclid ? "google" : fbclid ? "facebook" : referrerHost || "(direct)"),
+    medium: utm.medium || defaultMedium[channel],
+    campaign: utm.campaign,
+    term: utm.term,
+    content: utm.content,
+    gclid,
+    fbclid,
+    channel,
+    is_campaign: isCampaign,
+    landing_page: window.location.pathname,
+    at: new Date().toISOString()
+  };
 }
 
-const downloadExt = new Set([
-  "pdf", "zip", "rar", "7z",
-  "doc", "docx", "ppt", "pptx", "xls", "xlsx",
-  "csv", "txt",
-  "png", "jpg", "jpeg", "webp", "svg",
-  "mp4", "mov", "mp3", "wav"
-]);
+function newSessionId() {
+  return (window.crypto && crypto.randomUUID && crypto.randomUUID()) ||
+    `s_${Math.random().toString(16).slice(2)}_${Date.now()}`;
+}
 
-// =========================
-// Unik click-id
-// =========================
-const pageId =
-  (window.crypto && crypto.randomUUID && crypto.randomUUID()) ||
-  `p_${Math.random().toString(16).slice(2)}_${Date.now()}`;
+const auSession = (function () {
+  const now = Date.now();
+  const arrival = currentTouch();
+  let session = readStorageJson(SESSION_STORAGE_KEY);
+  const attribution = readStorageJson(ATTRIBUTION_STORAGE_KEY) || { session_count: 0 };
 
-let clickCounter = 0;
+  if (!session || now - session.last_activity_at > SESSION_TIMEOUT_MS || arrival?.is_campaign) {
+    session = { id: newSessionId(), started_at: now, last_activity_at: now };
+    attribution.session_count = (attribution.session_count || 0) + 1;
+  }
 
-function makeClickId() {
-  clickCounter += 1;
-  return `${pageId}_${clickCounter}`;
+  if (!attribution.first_touch) attribution.first_touch = arrival || directTouch();
+
+  // Last touch = senaste icke-direkta touch (direkt skriver inte över en kampanj)
+  if (arrival && arrival.channel !== "direct") attribution.last_touch = arrival;
+  if (!attribution.last_touch) attribution.last_touch = attribution.first_touch;
+
+  return { session, attribution };
+})();
+
+function directTouch() {
+  return {
+    source: "(direct)", medium: "(none)", campaign: "", term: "", content: "",
+    gclid: "", fbclid: "", channel: "direct", is_campaign: false,
+    landing_page: window.location.pathname, at: new Date().toISOString()
+  };
+}
+
+function persistSession() {
+  if (!hasConsent("analytics")) return;
+  writeStorageJson(SESSION_STORAGE_KEY, auSession.session);
+  writeStorageJson(ATTRIBUTION_STORAGE_KEY, auSession.attribution);
+}
+
+// Anropas vid varje event: förlänger sessionen eller startar en ny efter timeout
+function touchSession() {
+  const now = Date.now();
+  if (now - auSession.session.last_activity_at > SESSION_TIMEOUT_MS) {
+    auSession.session = { id: newSessionId(), started_at: now, last_activity_at: now };
+    auSession.attribution.session_count = (auSession.attribution.session_count || 0) + 1;
+  }
+  auSession.session.last_activity_at = now;
+  persistSession();
+}
+
+function touchFields(prefix, touch) {
+  return {
+    [`${prefix}_source`]: touch.source,
+    [`${prefix}_medium`]: touch.medium,
+    [`${prefix}_campaign`]: touch.campaign,
+    [`${prefix}_term`]: touch.term,
+    [`${prefix}_content`]: touch.content,
+    [`${prefix}_channel`]: touch.channel
+  };
+}
+
+function sessionFields() {
+  const { session, attribution } = auSession;
+  return {
+    session_id: session.id,
+    session_number: attribution.session_count || 1,
+    ...touchFields("first_touch", attribution.first_touch),
+    ...touchFields("last_touch", attribution.last_touch),
+    gclid: attribution.last_touch.gclid || "",
+    fbclid: attribution.last_touch.fbclid || ""
+  };
 }
 
+persistSession();
+
+consentListeners.push(function (state) {
+  if (state.categories.includes("analytics")) {
+    persistSession();
+    return;
+  }
+  try {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    localStorage.removeItem(ATTRIBUTION_STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+});
+
+window.auSession = {
+  id: () => auSession.session.id,
+  attribution: () => JSON.parse(JSON.stringify(auSession.attribution)),
+  fields: sessionFields
+};
+
 // =========================
-// När sidan laddas
+// Debug-läge
 // =========================
-document.addEventListener("DOMContentLoaded", function () {
+// ?au_debug=1 slår på (sparas för sessionen), ?au_debug=0 slår av.
+// localhost räknas alltid som debug.
+const AU_DEBUG = (function () {
+  try {
+    const flag = new URLSearchParams(window.location.search).get("au_debug");
+    if (flag === "1") sessionStorage.setItem("au_debug", "1");
+    if (flag === "0") sessionStorage.removeItem("au_debug");
+    return sessionStorage.getItem("au_debug") === "1" ||
+      ["localhost", "127.0.0.1"].includes(window.location.hostname);
+  } catch {
+    return false;
+  }
+})();
 
-  // Page view
-  pushToDataLayer("page_view", {
-    page_title: document.title,
-    page_location: window.location.href,
-    page_path: window.location.pathname
+// =========================
+// Event schema registry
+// =========================
+// Typer: "string" | "number" | "boolean", "|null" tillåter null.
+// I produktion tas okända nycklar bort, och okända eller ofullständiga event släpps.
+const TOUCH_PARAM_TYPES = {
+  source: "string",
+  medium: "string",
+  campaign: "string",
+  term: "string",
+  content: "string",
+  channel: "string"
+};
+
+function touchParamTypes(prefix) {
+  const types = {};
+  Object.keys(TOUCH_PARAM_TYPES).forEach(key => {
+    types[`${prefix}_${key}`] = TOUCH_PARAM_TYPES[key];
   });
+  return types;
+}
 
-  // Meny-klick
-  document.querySelectorAll("nav a, .menu-btn").forEach(link => {
-    link.addEventListener("click", function () {
-      pushToDataLayer("menu_click", {
-        link_text: this.textContent.trim(),
-        link_url: this.href || null
-      });
-    });
+// Läggs på alla event av pushToDataLayer
+const EVENT_COMMON_PARAMS = {
+  event: "string",
+  timestamp: "string",
+  session_id: "string",
+  session_number: "number",
+  ...touchParamTypes("first_touch"),
+  ...touchParamTypes("last_touch"),
+  gclid: "string",
+  fbclid: "string",
+  // Sätts av tracking rules på semantiska klick-event
+  click_id: "string",
+  rule_name: "string"
+};
+
+const PAGE_PARAMS = {
+  page_title: "string",
+  page_location: "string",
+  page_path: "string"
+};
+
+const LINK_PARAMS = {
+  link_text: "string",
+  link_url: "string|null"
+};
+
+// Gemensamt för alla media_*-event
+const MEDIA_REQUIRED = {
+  media_src: "string",
+  element_selector: "string",
+  page_path: "string"
+};
+
+const MEDIA_PARAMS = {
+  media_type: "string",
+  media_title: "string",
+  media_duration: "number",
+  media_current_time: "number",
+  media_percent: "number",
+  play_trigger: "string"
+};
+
+const EVENT_SCHEMAS = {
+  page_view: {
+    required: PAGE_PARAMS,
+    optional: {
+      previous_page_path: "string",
+      navigation_type: "string",
+      virtual_page_view: "boolean"
+    }
+  },
+  menu_click: {
+    required: { link_text: "string" },
+    optional: { link_url: LINK_PARAMS.link_url }
+  },
+  view_work_click: {
+    required: { link_text: "string" },
+    optional: { link_url: LINK_PARAMS.link_url }
+  },
+  au_click: {
+    required: {
+      click_id: "string",
+      ...PAGE_PARAMS,
+      element_tag: "string",
+      element_selector: "string"
+    },
+    optional: {
+      element_id: "string",
+      element_classes: "string",
+      element_text: "string",
+      link_href: "string",
+      link_url: "string",
+      is_outbound: "boolean",
+      is_download: "boolean",
+      file_extension: "string",
+      track_name: "string",
+      track_value: "string",
+      impression_id: "string",
+      experiment_variants: "string"
+    }
+  },
+  au_download: {
+    required: { click_id: "string", file_url: "string", file_extension: "string", page_path: "string" },
+    optional: {
+      asset: "string",
+      asset_version: "string",
+      asset_size_bytes: "number",
+      asset_sha256: "string",
+      asset_gate: "string",
+      funnel_id: "string"
+    }
+  },
+  asset_unavailable: {
+    required: { asset: "string", reason: "string" }
+  },
+  au_outbound: {
+    required: { click_id: "string", outbound_url: "string", page_path: "string" }
+  },
+  au_scroll: {
+    required: { page_id: "string", percent_scrolled: "number", page_path: "string" }
+  },
+  au_engagement: {
+    required: { page_id: "string", engagement_time_msec: "number", page_path: "string" },
+    optional: { flush_reason: "string", percent_scrolled: "number" }
+  },
+  growthtech_unlock: {},
+  growthtech_unlock_failed: {
+    optional: { attempt_count: "number", locked_out: "boolean" }
+  },
+  growthtech_leads_unlock: {},
+  growthtech_leads_unlock_failed: {
+    optional: { attempt_count: "number", locked_out: "boolean" }
+  },
+  lead_magnet_click: {
+    required: { asset: "string" },
+    optional: { funnel_id: "string" }
+  },
+  lead_submit: {
+    required: { asset: "string" },
+    optional: { role: "string", funnel_id: "string", idempotency_key: "string", delivery: "string" }
+  },
+  lead_spam_blocked: {
+    required: { reason: "string" },
+    optional: { asset: "string" }
+  },
+  funnel_step: {
+    required: { funnel_id: "string", funnel_name: "string", step_index: "number", step_name: "string" },
+    optional: {
+      asset: "string",
+      time_since_previous_step_msec: "number|null",
+      time_since_funnel_start_msec: "number",
+      page_path: "string"
+    }
+  },
+  au_rage_click: {
+    required: { click_id: "string", element_selector: "string", page_path: "string" },
+    optional: { click_count: "number", element_text: "string" }
+  },
+  au_dead_click: {
+    required: { click_id: "string", element_selector: "string", page_path: "string" },
+    optional: { dead_reason: "string", element_tag: "string", element_text: "string" }
+  },
+  au_error_click: {
+    required: { click_id: "string", element_selector: "string", page_path: "string" },
+    optional: { error_message: "string", element_text: "string" }
+  },
+  au_web_vital: {
+    required: { metric_name: "string", metric_value: "number", page_id: "string", page_path: "string" },
+    optional: {
+      metric_rating: "string",
+      metric_target: "string",
+      metric_id: "string",
+      navigation_type: "string"
+    }
+  },
+  au_js_error: {
+    required: { error_message: "string", error_fingerprint: "string", page_path: "string" },
+    optional: {
+      error_type: "string",
+      error_source: "string",
+      error_context: "string",
+      page_id: "string"
+    }
+  },
+  media_start: { required: MEDIA_REQUIRED, optional: MEDIA_PARAMS },
+  media_progress: { required: MEDIA_REQUIRED, optional: MEDIA_PARAMS },
+  media_pause: { required: MEDIA_REQUIRED, optional: MEDIA_PARAMS },
+  media_seek: {
+    required: MEDIA_REQUIRED,
+    optional: { ...MEDIA_PARAMS, seek_from: "number" }
+  },
+  media_complete: { required: MEDIA_REQUIRED, optional: MEDIA_PARAMS },
+  experiment_impression: {
+    required: { experiment_id: "string", variant_id: "string" },
+    optional: { assignment_method: "string", page_path: "string" }
+  },
+  au_impression: {
+    required: { impression_id: "string", page_id: "string", element_selector: "string", page_path: "string" },
+    optional: {
+      impression_type: "string",
+      element_text: "string",
+      link_url: "string",
+      track_name: "string",
+      visible_ratio: "number"
+    }
+  },
+  form_start: {
+    required: { form_id: "string", page_path: "string" },
+    optional: { field_name: "string" }
+  },
+  form_field_complete: {
+    required: { form_id: "string", field_name: "string", page_path: "string" },
+    optional: { field_type: "string", field_index: "number" }
+  },
+  form_submit: {
+    required: { form_id: "string", page_path: "string" },
+    optional: { submit_attempt: "number", fields_completed: "number", time_to_submit_msec: "number" }
+  },
+  form_error: {
+    required: { form_id: "string", error_message: "string", page_path: "string" },
+    optional: { error_type: "string", field_name: "string", submit_attempt: "number" }
+  },
+  form_abandon: {
+    required: { form_id: "string", page_path: "string" },
+    optional: { last_field: "string", fields_completed: "number", submit_attempt: "number", time_spent_msec: "number" }
+  }
+};
+
+function matchesType(value, type) {
+  return type.split("|").some(t => {
+    if (t === "null") return value === null;
+    if (t === "number") return typeof value === "number" && Number.isFinite(value);
+    return typeof value === t;
   });
+}
 
-  // View work klick
+// Returnerar { payload, errors }. payload är null om eventet ska släppas.
+function validateEvent(payload) {
+  const schema = EVENT_SCHEMAS[payload.event];
+  if (!schema) {
+    return { payload: null, errors: [`unknown event "${payload.event}"`] };
+  }
 
-  // View work card click
-  document.querySelectorAll(".work-card-link").forEach(link => {
-    link.addEventListener("click", function () {
-      const title = this.querySelector("h3")?.textContent?.trim() || "Work";
-      pushToDataLayer("view_work_click", {
-        link_text: title,
-        link_url: this.href || null
-      });
-    });
+  const required = schema.required || {};
+  const allowed = { ...EVENT_COMMON_PARAMS, ...required, ...(schema.optional || {}) };
+  const errors = [];
+  const clean = {};
+
+  Object.keys(required).forEach(key => {
+    if (payload[key] === undefined) errors.push(`missing required "${key}"`);
   });
 
-  document.querySelectorAll("a, button").forEach(el => {
-    if (el.textContent.trim().toLowerCase() === "view work") {
-      el.addEventListener("click", function () {
-        pushToDataLayer("view_work_click", {
-          link_text: this.textContent.trim(),
-          link_url: this.href || null
-        });
-      });
+  Object.keys(payload).forEach(key => {
+    const value = payload[key];
+    if (value === undefined) return;
+
+    if (!(key in allowed)) {
+      errors.push(`unknown key "${key}"`);
+      return;
     }
+    if (!matchesType(value, allowed[key])) {
+      errors.push(`"${key}" should be ${allowed[key]}, got ${value === null ? "null" : typeof value}`);
+      return;
+    }
+    clean[key] = value;
   });
 
-});
+  // Saknas ett obligatoriskt värde (eller hade fel typ) går eventet inte att lita på
+  const complete = Object.keys(required).every(key => key in clean);
+  return { payload: complete ? clean : null, errors };
+}
 
 // =========================
-// GLOBAL CLICK TRACKING
+// PII-redaktion
 // =========================
-document.addEventListener("pointerdown", function (e) {
+// Körs på alla strängar i varje event innan det når dataLayer: e-post, telefonnummer,
+// personnummer och känsliga query-parametrar maskeras.
+//
+// Query-parametrar har två lägen:
+//   "denylist"  (standard) maskera bara parametrarna i redactParams
+//   "allowlist" maskera alla parametrar utom de i safeParams
+// safeKeys är event-nycklar som aldrig innehåller PII (ID:n), de hoppas över helt.
+const redactionConfig = {
+  queryParamMode: "denylist",
+  redactParams: [
+    "email", "e-mail", "mail", "phone", "tel", "mobile", "name", "first_name", "last_name",
+    "address", "ssn", "personnummer", "pnr", "token", "password", "pwd", "code"
+  ],
+  safeParams: [
+    "utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content",
+    "gclid", "fbclid", "asset", "au_debug", "gid"
+  ],
+  safeKeys: [
+    "event", "timestamp", "click_id", "page_id", "session_id", "impression_id", "gclid", "fbclid",
+    // UUID:n och genererade ID:n kan råka se ut som telefonnummer och måste matcha arket oförändrade
+    "funnel_id", "idempotency_key", "experiment_id", "metric_id"
+  ]
+};
 
-  const target = e.target;
+const PII_PATTERNS = [
+  // namn@domän.se, även URL-kodat (%40)
+  { label: "[email]", re: /[A-Z0-9._%+-]+(?:@|%40)[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  // ÅÅ(ÅÅ)MMDD-NNNN, inkl. samordningsnummer (dag + 60). Före telefon, annars tar den siffrorna.
+  { label: "[personnummer]", re: /\b(?:19|20)?\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01]|[6-9]\d)[-+]?\d{4}\b/g },
+  // +46 70 123 45 67, 0046..., 070-123 45 67, 08-123 456 78
+  { label: "[phone]", re: /(?:(?:\+|\b00)\d{1,3}[\s-]?|\b0)\d{1,4}(?:[\s-]?\d{2,4}){2,4}\b/g }
+];
 
-  const el =
-    target?.closest?.("a, button, [role='button'], input, textarea, select, [data-track]") ||
-    target;
+function shouldRedactParam(name) {
+  const key = name.toLowerCase();
+  if (redactionConfig.queryParamMode === "allowlist") {
+    return !redactionConfig.safeParams.includes(key);
+  }
+  return redactionConfig.redactParams.includes(key);
+}
 
-  if (!el) return;
+function redactString(str) {
+  let out = str.replace(/([?&#])([^=&#\s]+)=([^&#\s]*)/g, (match, sep, name, value) =>
+    value && shouldRedactParam(decodeURIComponentSafe(name)) ? `${sep}${name}=[redacted]` : match
+  );
+  PII_PATTERNS.forEach(({ label, re }) => {
+    out = out.replace(re, label);
+  });
+  return out;
+}
 
-  const clickId = makeClickId();
-  const tag = (el.tagName || "").toLowerCase();
+function decodeURIComponentSafe(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch {
+    return str;
+  }
+}
 
-  const a = el.closest?.("a");
-  const href = a?.getAttribute?.("href") || "";
+function redactValue(value) {
+  if (typeof value === "string") return redactString(value);
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === "object") {
+    const out = {};
+    Object.keys(value).forEach(key => { out[key] = redactValue(value[key]); });
+    return out;
+  }
+  return value;
+}
 
-  const linkUrl = safeAbsUrl(href);
-  const ext = getExtension(href);
-  const isDownload = ext && downloadExt.has(ext);
-  const outbound = linkUrl ? isOutbound(linkUrl) : false;
+function redactPayload(payload) {
+  const out = {};
+  Object.keys(payload).forEach(key => {
+    out[key] = redactionConfig.safeKeys.includes(key) ? payload[key] : redactValue(payload[key]);
+  });
+  return out;
+}
 
-  const trackName = el.getAttribute?.("data-track") || "";
-  const trackValue = el.getAttribute?.("data-track-value") || "";
+window.auRedaction = {
+  configure(options = {}) {
+    if (options.queryParamMode) redactionConfig.queryParamMode = options.queryParamMode;
+    ["redactParams", "safeParams", "safeKeys"].forEach(list => {
+      if (Array.isArray(options[list])) {
+        redactionConfig[list] = Array.from(new Set([...redactionConfig[list], ...options[list].map(String)]));
+      }
+    });
+  },
+  redact: redactValue
+};
 
-  const text =
-    safeText(el.getAttribute?.("aria-label")) ||
-    safeText(el.getAttribute?.("title")) ||
-    safeText(el.textContent);
+// =========================
+// Push-logg (för inspektören)
+// =========================
+// Varje push loggas med status: sent, queued, blocked (consent) eller dropped (schema).
+// Köade event uppdateras till sent/blocked när besökaren bestämt sig.
+const DATALAYER_LOG_MAX = 500;
+const dataLayerLog = [];
+const dataLayerLogByPayload = new WeakMap();
+const pushListeners = [];
 
-  pushToDataLayer("au_click", {
-    click_id: clickId,
+function logPush(payload, status, note = "") {
+  let entry = dataLayerLogByPayload.get(payload);
 
-    page_title: document.title,
-    page_location: window.location.href,
-    page_path: window.location.pathname,
+  if (entry) {
+    entry.status = status;
+    entry.note = note;
+  } else {
+    entry = { payload, status, note, at: Date.now() };
+    dataLayerLog.push(entry);
+    dataLayerLogByPayload.set(payload, entry);
+    if (dataLayerLog.length > DATALAYER_LOG_MAX) dataLayerLog.shift();
+  }
 
-    element_tag: tag,
-    element_id: el.id || "",
-    element_classes: safeText(el.className, 120),
-    element_text: text,
-    element_selector: cssPath(el),
+  pushListeners.forEach(fn => {
+    try { fn(entry); } catch (err) { console.error(err); }
+  });
+}
 
-    link_href: href || "",
-    link_url: linkUrl || "",
-    is_outbound: outbound,
-    is_download: isDownload || false,
-    file_extension: ext || "",
+// =========================
+// Publikt API: window.au
+// =========================
+// au.track(event, params)  samma som pushToDataLayer
+// au.set(params)           globala parametrar på alla event (null tar bort)
+// au.use(middleware)       { before(payload), after(payload, status) } eller bara en funktion (= before)
+//   before: returnera nytt payload, inget (= oförändrat) eller false (= släpp eventet).
+//           Körs före redaktion och schema, så middleware kan inte smyga förbi dem.
+//   after:  anropas för varje statusändring (sent, queued, blocked, dropped).
+const globalParams = {};
+const middlewares = [];
 
-    track_name: trackName,
-    track_value: trackValue
+function setGlobalParams(params = {}) {
+  Object.keys(params).forEach(key => {
+    const value = params[key];
+    if (value === null || value === undefined) {
+      delete globalParams[key];
+      return;
+    }
+    globalParams[key] = value;
+    // Globala parametrar är avsiktliga, så de får passera schemat på alla event
+    if (!(key in EVENT_COMMON_PARAMS)) EVENT_COMMON_PARAMS[key] = typeof value;
   });
+}
 
-  if (isDownload && linkUrl) {
-    pushToDataLayer("au_download", {
-      click_id: clickId,
-      file_url: linkUrl,
-      file_extension: ext,
-      page_path: window.location.pathname
-    });
+function useMiddleware(middleware) {
+  const mw = typeof middleware === "function" ? { before: middleware } : middleware;
+  if (!mw || (typeof mw.before !== "function" && typeof mw.after !== "function")) {
+    throw new TypeError("au.use() expects a function or { before, after }");
   }
+  middlewares.push(mw);
 
-  if (outbound && linkUrl) {
-    pushToDataLayer("au_outbound", {
-      click_id: clickId,
-      outbound_url: linkUrl,
-      page_path: window.location.pathname
-    });
+  // Returnerar en funktion som tar bort middlewaren igen
+  return () => {
+    const i = middlewares.indexOf(mw);
+    if (i > -1) middlewares.splice(i, 1);
+  };
+}
+
+function runBeforeMiddleware(payload) {
+  let current = payload;
+  for (const mw of middlewares) {
+    if (!mw.before) continue;
+    try {
+      const result = mw.before({ ...current });
+      if (result === false) return null;
+      if (result && typeof result === "object") current = result;
+    } catch (err) {
+      console.error("au middleware (before) failed", err);
+    }
   }
+  return current;
+}
 
-}, { capture: true });
+pushListeners.push(function (entry) {
+  middlewares.forEach(mw => {
+    if (!mw.after) return;
+    try {
+      mw.after(entry.payload, entry.status);
+    } catch (err) {
+      console.error("au middleware (after) failed", err);
+    }
+  });
+});
+
+window.au = {
+  track: (event, params) => pushToDataLayer(event, params),
+  set: setGlobalParams,
+  use: useMiddleware
+};
+
+// =========================
+// Lead magnet-tratt
+// =========================
+// growthtech_unlock → lead_magnet_click → lead_submit → au_download
+// Tratten (funnel_id) startar vid lead_magnet_click och följer med till
+// growth-tech-downloads.html via sessionStorage. Varje steg stämplas med funnel_id
+// och ger ett funnel_step med index och tid sedan föregående steg. Upplåsningen
+// ligger före tratten, men dess tidpunkt används som "föregående steg" för steg 0.
+// asset normaliseras överallt till samma ID (zip → extension_zip, pdf → pdf_guide).
+// Utan analytics-samtycke ligger tratten bara i minnet (följer inte med till nästa sida).
+const FUNNEL_STORAGE_KEY = "au_funnel";
+const FUNNEL_UNLOCK_KEY = "au_funnel_unlocked_at";
+const FUNNEL_NAME = "lead_magnet";
+const FUNNEL_STEPS = ["lead_magnet_click", "lead_submit", "download"];
+
+const ASSET_IDS = {
+  zip: "extension_zip",
+  extension_zip: "extension_zip",
+  pdf: "pdf_guide",
+  pdf_guide: "pdf_guide"
+};
+
+const ASSET_FILES = {
+  "price-predictor-extension.zip": "extension_zip",
+  "Technical-Leverage-and-Exponential-Growth.pdf": "pdf_guide"
+};
+
+function normalizeAsset(asset) {
+  return ASSET_IDS[asset] || asset;
+}
+
+function assetFromFileUrl(url) {
+  const file = decodeURIComponentSafe(String(url).split(/[?#]/)[0].split("/").pop() || "");
+  return ASSET_FILES[file] || "";
+}
+
+// Senaste tillståndet i minnet, sessionStorage bara med analytics-samtycke
+const funnelMemory = { funnel: null, unlockedAt: 0 };
+
+function readFunnel() {
+  if (funnelMemory.funnel) return funnelMemory.funnel;
+  try {
+    return JSON.parse(sessionStorage.getItem(FUNNEL_STORAGE_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+function readFunnelUnlockedAt() {
+  try {
+    return funnelMemory.unlockedAt || Number(sessionStorage.getItem(FUNNEL_UNLOCK_KEY)) || 0;
+  } catch {
+    return funnelMemory.unlockedAt;
+  }
+}
+
+function persistFunnel() {
+  if (!hasConsent("analytics")) return;
+  try {
+    if (funnelMemory.funnel) sessionStorage.setItem(FUNNEL_STORAGE_KEY, JSON.stringify(funnelMemory.funnel));
+    if (funnelMemory.unlockedAt) sessionStorage.setItem(FUNNEL_UNLOCK_KEY, String(funnelMemory.unlockedAt));
+  } catch {
+    // ignore
+  }
+}
+
+function writeFunnel(funnel) {
+  funnelMemory.funnel = funnel;
+  persistFunnel();
+}
+
+consentListeners.push(function (state) {
+  if (state.categories.includes("analytics")) {
+    persistFunnel();
+    return;
+  }
+  try {
+    sessionStorage.removeItem(FUNNEL_STORAGE_KEY);
+    sessionStorage.removeItem(FUNNEL_UNLOCK_KEY);
+  } catch {
+    // ignore
+  }
+});
+
+function funnelStepFor(payload) {
+  if (payload.event === "lead_magnet_click") return 0;
+  if (payload.event === "lead_submit") return 1;
+  if (payload.event === "au_download" && payload.asset) return 2;
+  return -1;
+}
+
+useMiddleware({
+  before(payload) {
+    if (payload.event === "growthtech_unlock") {
+      funnelMemory.unlockedAt = Date.now();
+      persistFunnel();
+      return payload;
+    }
+
+    if (payload.asset) payload.asset = normalizeAsset(payload.asset);
+    if (payload.event === "au_download" && !payload.asset) {
+      const asset = assetFromFileUrl(payload.file_url);
+      if (asset) payload.asset = asset;
+    }
+
+    const stepIndex = funnelStepFor(payload);
+    if (stepIndex < 0) return payload;
+
+    const now = Date.now();
+    let funnel = readFunnel();
+
+    // Klick på en lead magnet startar en ny tratt, om inte samma fil redan har en öppen
+    if (stepIndex === 0 && (!funnel || funnel.asset !== payload.asset || funnel.last_step >= 2)) {
+      const unlockedAt = readFunnelUnlockedAt();
+      funnel = { id: newSessionId(), asset: payload.asset, started_at: now, last_step_at: unlockedAt || null, last_step: -1 };
+    }
+
+    // Ingen tratt, eller en annan fil än den tratten gäller
+    if (!funnel || (payload.asset && funnel.asset !== payload.asset)) return payload;
+
+    payload.funnel_id = funnel.id;
+
+    // Samma steg igen (dubbelklick, ny submit) stämplas men räknas inte som nytt steg
+    if (stepIndex <= funnel.last_step) return payload;
+
+    const previousAt = funnel.last_step_at;
+    funnel.last_step = stepIndex;
+    funnel.last_step_at = now;
+    writeFunnel(funnel);
+
+    // Efter själva steg-eventet
+    queueMicrotask(() => pushToDataLayer("funnel_step", {
+      funnel_id: funnel.id,
+      funnel_name: FUNNEL_NAME,
+      step_index: stepIndex,
+      step_name: FUNNEL_STEPS[stepIndex],
+      asset: funnel.asset,
+      time_since_previous_step_msec: previousAt ? now - previousAt : null,
+      time_since_funnel_start_msec: now - funnel.started_at,
+      page_path: window.location.pathname
+    }));
+
+    return payload;
+  }
+});
+
+window.auFunnel = {
+  id: () => readFunnel()?.id || "",
+  normalizeAsset
+};
+
+// =========================
+// Helper: pusha till dataLayer
+// =========================
+function pushToDataLayer(event, data) {
+  touchSession();
+
+  const built = runBeforeMiddleware({
+    event: event,
+    ...sessionFields(),
+    ...globalParams,
+    ...data,
+    timestamp: new Date().toISOString()
+  });
+
+  if (!built) {
+    logPush({ event, ...data }, "dropped", "middleware");
+    return;
+  }
+
+  let payload = redactPayload(built);
+
+  const result = validateEvent(payload);
+  if (result.errors.length) {
+    if (AU_DEBUG) {
+      // Debug: skicka oförändrat men syns tydligt i konsolen
+      console.error(`🚨 dataLayer schema: ${event}\n- ${result.errors.join("\n- ")}`, payload);
+    } else {
+      if (!result.payload) {
+        logPush(payload, "dropped", result.errors.join("; "));
+        return;
+      }
+      payload = result.payload;
+    }
+  }
+
+  // Inget beslut ännu: håll eventet i kön
+  if (consentState === null) {
+    if (consentQueue.length >= CONSENT_QUEUE_MAX) consentQueue.shift();
+    consentQueue.push(payload);
+    logPush(payload, "queued", "consent pending");
+    if (AU_DEBUG) console.log("⏳ dataLayer queued (consent pending):", payload);
+    return;
+  }
+
+  if (!hasConsent("analytics")) {
+    logPush(payload, "blocked", "consent denied");
+    return;
+  }
+
+  deliverToDataLayer(payload);
+}
+
+function deliverToDataLayer(payload) {
+  window.dataLayer.push(payload);
+  logPush(payload, "sent");
+  transportEnqueue(payload);
+
+  // Debug
+  console.log("📊 dataLayer push:", payload);
+}
+
+// =========================
+// Transport: first-party endpoint (valfri)
+// =========================
+// Skickar samma event som dataLayer till en egen endpoint, så vi har data även
+// när GTM blockeras. Av tills en endpoint är satt:
+//   <script src="data-layer.js" data-collect-endpoint="/collect"
+//           data-collect-sampling='{"au_scroll":0.25}'></script>
+// eller window.auTransport.configure({ endpoint: "/collect" }).
+// Batcher som inte gick iväg sparas i localStorage och skickas om med backoff.
+// Lokal testserver: node dev/collector.js
+const TRANSPORT_OUTBOX_KEY = "au_transport_outbox";
+const TRANSPORT_OUTBOX_MAX = 50;
+const TRANSPORT_MAX_ATTEMPTS = 8;
+const TRANSPORT_BACKOFF_BASE_MS = 5000;
+const TRANSPORT_BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+const transportConfig = {
+  endpoint: "",
+  batchSize: 10,
+  flushIntervalMs: 5000,
+  sampling: {} // { event_name: 0..1, "*": default }
+};
+
+(function readTransportScriptConfig() {
+  const script = document.currentScript;
+  if (!script) return;
+  transportConfig.endpoint = script.getAttribute("data-collect-endpoint") || "";
+  try {
+    Object.assign(transportConfig.sampling, JSON.parse(script.getAttribute("data-collect-sampling") || "{}"));
+  } catch {
+    console.warn("data-collect-sampling is not valid JSON");
+  }
+})();
+
+let transportBuffer = [];
+let transportTimer = null;
+let transportRetryTimer = null;
+let transportUnloading = false;
+
+// Stabil 0..1 per session + eventnamn, så en session antingen får med alla
+// event av en typ eller inga (annars blir t.ex. scroll-trattar trasiga)
+function fnv1a(str) {
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function sampleBucket(key) {
+  return fnv1a(key) / 4294967295;
+}
+
+function sampleRate(eventName) {
+  const rate = transportConfig.sampling[eventName] ?? transportConfig.sampling["*"] ?? 1;
+  return Math.min(1, Math.max(0, Number(rate) || 0));
+}
+
+function transportEnqueue(payload) {
+  if (!transportConfig.endpoint) return;
+
+  const rate = sampleRate(payload.event);
+  if (rate < 1 && sampleBucket(`${auSession.session.id}:${payload.event}`) >= rate) return;
+
+  transportBuffer.push({ ...payload, sample_rate: rate });
+
+  // Event som pushas efter pagehide (engagement, form_abandon) skickas direkt
+  if (transportUnloading) {
+    flushTransport(true);
+  } else if (transportBuffer.length >= transportConfig.batchSize) {
+    flushTransport();
+  } else if (!transportTimer) {
+    transportTimer = setTimeout(flushTransport, transportConfig.flushIntervalMs);
+  }
+}
+
+function makeBatch(events) {
+  return {
+    batch_id: newSessionId(),
+    attempts: 0,
+    next_attempt_at: 0,
+    events
+  };
+}
+
+function batchBody(batch) {
+  // text/plain = "simple request", ingen CORS-preflight (samma som lead-formuläret)
+  return new Blob([JSON.stringify({
+    batch_id: batch.batch_id,
+    sent_at: new Date().toISOString(),
+    attempt: batch.attempts + 1,
+    events: batch.events
+  })], { type: "text/plain;charset=UTF-8" });
+}
+
+function readOutbox() {
+  const outbox = readStorageJson(TRANSPORT_OUTBOX_KEY);
+  return Array.isArray(outbox) ? outbox : [];
+}
+
+function writeOutbox(outbox) {
+  if (!outbox.length) {
+    try { localStorage.removeItem(TRANSPORT_OUTBOX_KEY); } catch { /* ignore */ }
+    return;
+  }
+  writeStorageJson(TRANSPORT_OUTBOX_KEY, outbox.slice(-TRANSPORT_OUTBOX_MAX));
+}
+
+function parkBatch(batch) {
+  batch.attempts += 1;
+  if (batch.attempts >= TRANSPORT_MAX_ATTEMPTS) {
+    console.warn("📦 transport: dropping batch after max attempts", batch.batch_id);
+    return;
+  }
+  const delay = Math.min(TRANSPORT_BACKOFF_MAX_MS, TRANSPORT_BACKOFF_BASE_MS * 2 ** (batch.attempts - 1));
+  batch.next_attempt_at = Date.now() + delay;
+
+  const outbox = readOutbox().filter(b => b.batch_id !== batch.batch_id);
+  outbox.push(batch);
+  writeOutbox(outbox);
+  scheduleOutboxRetry();
+}
+
+// Vanlig flush: fetch keepalive så vi vet om det gick
+async function sendBatch(batch) {
+  try {
+    const res = await fetch(transportConfig.endpoint, {
+      method: "POST",
+      body: batchBody(batch),
+      keepalive: true,
+      credentials: "omit"
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return true;
+  } catch (err) {
+    console.warn("📦 transport: send failed, queued for retry", err);
+    parkBatch(batch);
+    return false;
+  }
+}
+
+function flushTransport(unloading = false) {
+  clearTimeout(transportTimer);
+  transportTimer = null;
+  if (!transportConfig.endpoint || !transportBuffer.length) return;
+
+  const batch = makeBatch(transportBuffer);
+  transportBuffer = [];
+
+  // Sidan håller på att stängas: sendBeacon överlever unload, fetch gör det inte alltid
+  if (unloading && navigator.sendBeacon) {
+    if (!navigator.sendBeacon(transportConfig.endpoint, batchBody(batch))) parkBatch(batch);
+    return;
+  }
+
+  sendBatch(batch);
+}
+
+async function retryOutbox() {
+  transportRetryTimer = null;
+  if (!transportConfig.endpoint) return;
+
+  const now = Date.now();
+  const outbox = readOutbox();
+  const due = outbox.filter(b => b.next_attempt_at <= now);
+  if (!due.length) {
+    scheduleOutboxRetry();
+    return;
+  }
+
+  // Plocka ut de som ska skickas nu; misslyckade läggs tillbaka av parkBatch
+  writeOutbox(outbox.filter(b => b.next_attempt_at > now));
+  for (const batch of due) {
+    await sendBatch(batch);
+  }
+}
+
+function scheduleOutboxRetry() {
+  if (transportRetryTimer) return;
+  const outbox = readOutbox();
+  if (!outbox.length) return;
+
+  const next = Math.min(...outbox.map(b => b.next_attempt_at));
+  transportRetryTimer = setTimeout(retryOutbox, Math.max(0, next - Date.now()));
+}
+
+document.addEventListener("visibilitychange", function () {
+  transportUnloading = document.visibilityState === "hidden";
+  if (transportUnloading) flushTransport(true);
+});
+
+window.addEventListener("pagehide", function () {
+  transportUnloading = true;
+  flushTransport(true);
+});
+
+window.addEventListener("pageshow", function () {
+  transportUnloading = false;
+});
+
+// Gamla batcher från förra sidvisningen
+window.addEventListener("load", retryOutbox);
+
+window.auTransport = {
+  configure(options = {}) {
+    if ("endpoint" in options) transportConfig.endpoint = options.endpoint || "";
+    if (options.batchSize) transportConfig.batchSize = options.batchSize;
+    if (options.flushIntervalMs) transportConfig.flushIntervalMs = options.flushIntervalMs;
+    if (options.sampling) Object.assign(transportConfig.sampling, options.sampling);
+    if (transportConfig.endpoint) retryOutbox();
+  },
+  flush: () => flushTransport(),
+  pending: () => ({ buffered: transportBuffer.length, outbox: readOutbox().length })
+};
+
+// =========================
+// A/B-experiment
+// =========================
+// Varje besökare får en stabil variant: hash(visitor_id + experiment) mot vikterna.
+// Varianten läggs på innan första paint: data-layer.js körs i <head>, döljer de element
+// som ändras och visar dem igen när ändringarna gjorts (senast efter 1,5 s).
+//
+//   enabled: false           kill switch i koden, alla får control och inget loggas
+//   ?au_exp=id:variant,...   QA-override, gäller resten av sessionen (?au_exp=off nollställer)
+//
+// Kill switch utan kodändring (samma effekt som enabled: false):
+//   window.auExperimentsOff = ["hero_cta_copy"] | "all"   sätts före data-layer.js (t.ex. i GTM)
+//   ?au_exp_off=id,...|all   gäller resten av sessionen (?au_exp_off=none nollställer)
+//
+// visitor_id ligger i sessionStorage tills analytics godkänts (samma variant vid
+// omladdning i fliken), sedan flyttas det till localStorage.
+//
+// Ändringar per variant: { selector, text } byter text, { selector, moveToStart: true }
+// flyttar elementet först i sin förälder.
+const VISITOR_STORAGE_KEY = "au_visitor";
+const EXPERIMENT_OVERRIDE_KEY = "au_exp_override";
+const EXPERIMENT_OFF_KEY = "au_exp_off";
+const EXPERIMENT_ANTIFLICKER_MS = 1500;
+
+const EXPERIMENTS = {
+  hero_cta_copy: {
+    enabled: true,
+    pages: ["/", "/index.html"],
+    variants: { control: 50, case_studies: 50 },
+    changes: {
+      case_studies: [{ selector: ".hero .cta a[href='#work']", text: "See case studies" }]
+    }
+  },
+  resume_cta_order: {
+    enabled: true,
+    pages: ["/", "/index.html"],
+    variants: { control: 50, resume_first: 50 },
+    changes: {
+      resume_first: [{ selector: ".hero .cta a[href='#contact']", moveToStart: true }]
+    }
+  }
+};
+
+function readTabVisitor() {
+  try {
+    return JSON.parse(sessionStorage.getItem(VISITOR_STORAGE_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+const visitorId = (function () {
+  const stored = readStorageJson(VISITOR_STORAGE_KEY) || readTabVisitor();
+  return stored?.id || newSessionId();
+})();
+
+function persistVisitor() {
+  try {
+    if (hasConsent("analytics")) {
+      writeStorageJson(VISITOR_STORAGE_KEY, { id: visitorId });
+      sessionStorage.removeItem(VISITOR_STORAGE_KEY);
+    } else {
+      sessionStorage.setItem(VISITOR_STORAGE_KEY, JSON.stringify({ id: visitorId }));
+    }
+  } catch {
+    // ignore
+  }
+}
+
+persistVisitor();
+consentListeners.push(persistVisitor);
+
+function experimentOverrides() {
+  try {
+    const param = new URLSearchParams(window.location.search).get("au_exp");
+    if (param === "off") sessionStorage.removeItem(EXPERIMENT_OVERRIDE_KEY);
+    else if (param) sessionStorage.setItem(EXPERIMENT_OVERRIDE_KEY, param);
+
+    const raw = sessionStorage.getItem(EXPERIMENT_OVERRIDE_KEY) || "";
+    const overrides = {};
+    raw.split(",").forEach(pair => {
+      const [id, variant] = pair.split(":");
+      if (id && variant) overrides[id.trim()] = variant.trim();
+    });
+    return overrides;
+  } catch {
+    return {};
+  }
+}
+
+// "all" eller en lista med experiment-ID:n som är avstängda just nu
+function experimentsSwitchedOff() {
+  const off = [];
+  const runtime = window.auExperimentsOff;
+  if (runtime === "all") return "all";
+  if (Array.isArray(runtime)) off.push(...runtime);
+
+  try {
+    const param = new URLSearchParams(window.location.search).get("au_exp_off");
+    if (param === "none") sessionStorage.removeItem(EXPERIMENT_OFF_KEY);
+    else if (param) sessionStorage.setItem(EXPERIMENT_OFF_KEY, param);
+
+    const stored = sessionStorage.getItem(EXPERIMENT_OFF_KEY) || "";
+    if (stored.trim() === "all") return "all";
+    off.push(...stored.split(",").map(id => id.trim()).filter(Boolean));
+  } catch {
+    // ignore
+  }
+  return off;
+}
+
+function assignVariant(id, experiment) {
+  const weights = experiment.variants;
+  const names = Object.keys(weights);
+  const total = names.reduce((sum, name) => sum + weights[name], 0);
+  let point = sampleBucket(`${visitorId}:${id}`) * total;
+
+  for (const name of names) {
+    point -= weights[name];
+    if (point < 0) return name;
+  }
+  return names[names.length - 1];
+}
+
+// { experiment_id: { variant, method } } för experiment som körs på den här sidan
+const activeExperiments = (function () {
+  const overrides = experimentOverrides();
+  const switchedOff = experimentsSwitchedOff();
+  const active = {};
+
+  Object.keys(EXPERIMENTS).forEach(id => {
+    const experiment = EXPERIMENTS[id];
+    if (!experiment.enabled || switchedOff === "all" || switchedOff.includes(id)) return;
+    if (experiment.pages && !experiment.pages.includes(window.location.pathname)) return;
+
+    const override = overrides[id];
+    active[id] = override && override in experiment.variants
+      ? { variant: override, method: "override" }
+      : { variant: assignVariant(id, experiment), method: "hash" };
+  });
+
+  return active;
+})();
+
+function experimentChanges(id) {
+  return EXPERIMENTS[id].changes?.[activeExperiments[id].variant] || [];
+}
+
+function experimentVariantsString() {
+  return Object.keys(activeExperiments)
+    .map(id => `${id}:${activeExperiments[id].variant}`)
+    .join(";");
+}
+
+// Anti-flicker: dölj det som ska ändras tills ändringarna är gjorda
+(function hideExperimentTargets() {
+  const selectors = Object.keys(activeExperiments)
+    .flatMap(id => experimentChanges(id).map(change => change.selector));
+  if (!selectors.length) return;
+
+  const style = document.createElement("style");
+  style.id = "au-exp-antiflicker";
+  style.textContent = `${selectors.join(", ")}{visibility:hidden !important}`;
+  document.head.appendChild(style);
+
+  setTimeout(() => style.remove(), EXPERIMENT_ANTIFLICKER_MS);
+})();
+
+function applyExperiments() {
+  Object.keys(activeExperiments).forEach(id => {
+    experimentChanges(id).forEach(change => {
+      document.querySelectorAll(change.selector).forEach(el => {
+        if (typeof change.text === "string") el.textContent = change.text;
+        if (change.moveToStart && el.parentElement) el.parentElement.prepend(el);
+      });
+    });
+  });
+
+  document.getElementById("au-exp-antiflicker")?.remove();
+}
+
+// Anropas efter page_view (se "När sidan laddas")
+function trackExperimentImpressions() {
+  Object.keys(activeExperiments).forEach(id => {
+    pushToDataLayer("experiment_impression", {
+      experiment_id: id,
+      variant_id: activeExperiments[id].variant,
+      assignment_method: activeExperiments[id].method,
+      page_path: window.location.pathname
+    });
+  });
+}
+
+document.addEventListener("DOMContentLoaded", applyExperiments);
+
+window.auExperiments = {
+  active: () => JSON.parse(JSON.stringify(activeExperiments)),
+  list: () => Object.keys(EXPERIMENTS)
+};
+
+// =========================
+// Helpers
+// =========================
+function safeText(str, max = 80) {
+  if (!str) return "";
+  return String(str).trim().replace(/\s+/g, " ").slice(0, max);
+}
+
+function cssPath(el) {
+  try {
+    if (!el || el.nodeType !== 1) return "";
+    const parts = [];
+    let cur = el;
+    while (cur && cur.nodeType === 1 && parts.length < 7) {
+      let part = cur.nodeName.toLowerCase();
+      if (cur.id) {
+        part += `#${cur.id}`;
+        parts.unshift(part);
+        break;
+      }
+      if (cur.classList && cur.classList.length) {
+        part += "." + Array.from(cur.classList).slice(0, 2).join(".");
+      }
+      parts.unshift(part);
+      cur = cur.parentElement;
+    }
+    return parts.join(" > ");
+  } catch {
+    return "";
+  }
+}
+
+function safeAbsUrl(href) {
+  if (!href) return "";
+  try {
+    return new URL(href, window.location.href).href;
+  } catch {
+    return "";
+  }
+}
+
+function isOutbound(url) {
+  try {
+    const u = new URL(url);
+    return u.host !== window.location.host;
+  } catch {
+    return false;
+  }
+}
+
+function getExtension(url) {
+  try {
+    const clean = String(url).split("?")[0].split("#")[0];
+    const last = clean.split("/").pop() || "";
+    return last.includes(".")
+      ? last.split(".").pop().toLowerCase()
+      : "";
+  } catch {
+    return "";
+  }
+}
+
+const downloadExt = new Set([
+  "pdf", "zip", "rar", "7z",
+  "doc", "docx", "ppt", "pptx", "xls", "xlsx",
+  "csv", "txt",
+  "png", "jpg", "jpeg", "webp", "svg",
+  "mp4", "mov", "mp3", "wav"
+]);
+
+// =========================
+// Unik click-id
+// =========================
+const pageId =
+  (window.crypto && crypto.randomUUID && crypto.randomUUID()) ||
+  `p_${Math.random().toString(16).slice(2)}_${Date.now()}`;
+
+let clickCounter = 0;
+
+function makeClickId() {
+  clickCounter += 1;
+  return `${pageId}_${clickCounter}`;
+}
+
+// =========================
+// När sidan laddas
+// =========================
+document.addEventListener("DOMContentLoaded", function () {
+
+  // Page view
+  pushToDataLayer("page_view", {
+    page_title: document.title,
+    page_location: window.location.href,
+    page_path: window.location.pathname
+  });
+
+  trackExperimentImpressions();
+
+  // Regler från sidan själv: <script type="application/json" id="au-tracking-rules">[...]</script>
+  const pageRules = document.getElementById("au-tracking-rules");
+  if (pageRules) {
+    try {
+      addTrackingRules(JSON.parse(pageRules.textContent));
+    } catch (err) {
+      console.error("au-tracking-rules is not valid JSON", err);
+    }
+  }
+
+});
+
+// =========================
+// Virtuella sidvisningar (History API + hash)
+// =========================
+// pushState/replaceState/popstate/hashchange ger ett nytt page_view när sökvägen
+// (inkl. #hash, så #work/#about/#contact syns) faktiskt ändras. Query-strängen
+// räknas inte, så en replaceState som bara städar bort t.ex. utm-parametrar
+// ger inget page_view (hela URL:en finns ändå i page_location).
+let currentVirtualPath = virtualPath();
+
+function virtualPath() {
+  return window.location.pathname + window.location.hash;
+}
+
+function trackVirtualPageView(navigationType) {
+  const path = virtualPath();
+  if (path === currentVirtualPath) return;
+
+  const previous = currentVirtualPath;
+  currentVirtualPath = path;
+
+  pushToDataLayer("page_view", {
+    page_title: document.title,
+    page_location: window.location.href,
+    page_path: path,
+    previous_page_path: previous,
+    navigation_type: navigationType,
+    virtual_page_view: true
+  });
+}
+
+["pushState", "replaceState"].forEach(method => {
+  const original = history[method];
+  if (typeof original !== "function") return;
+
+  history[method] = function () {
+    const result = original.apply(this, arguments);
+    trackVirtualPageView(method === "pushState" ? "push_state" : "replace_state");
+    return result;
+  };
+});
+
+window.addEventListener("popstate", () => trackVirtualPageView("popstate"));
+window.addEventListener("hashchange", () => trackVirtualPageView("hashchange"));
+
+// =========================
+// GLOBAL CLICK TRACKING
+// =========================
+const CLICKABLE_SELECTOR = "a, button, [role='button'], input, textarea, select, [data-track]";
+
+// Senaste pointerdown, så click-eventet kan återanvända samma click_id
+let lastPointerClick = null;
+
+function clickableFor(target) {
+  return target?.closest?.(CLICKABLE_SELECTOR) || target;
+}
+
+// Katalogdata som sidan satt på nedladdningslänken (data-asset-*)
+function assetFields(a) {
+  const data = a?.dataset || {};
+  const fields = {};
+  if (data.assetId) fields.asset = data.assetId;
+  if (data.assetVersion) fields.asset_version = data.assetVersion;
+  if (Number(data.assetSize) > 0) fields.asset_size_bytes = Number(data.assetSize);
+  if (data.assetSha256) fields.asset_sha256 = data.assetSha256;
+  if (data.assetGate) fields.asset_gate = data.assetGate;
+  return fields;
+}
+
+// Rått au_click (+ au_download/au_outbound). Returnerar click_id.
+function trackRawClick(el) {
+  const clickId = makeClickId();
+  const tag = (el.tagName || "").toLowerCase();
+
+  const a = el.closest?.("a");
+  const href = a?.getAttribute?.("href") || "";
+
+  const linkUrl = safeAbsUrl(href);
+  const ext = getExtension(href);
+  const isDownload = ext && downloadExt.has(ext);
+  const outbound = linkUrl ? isOutbound(linkUrl) : false;
+
+  const trackName = el.getAttribute?.("data-track") || "";
+  const trackValue = el.getAttribute?.("data-track-value") || "";
+
+  const text =
+    safeText(el.getAttribute?.("aria-label")) ||
+    safeText(el.getAttribute?.("title")) ||
+    safeText(el.textContent);
+
+  pushToDataLayer("au_click", {
+    click_id: clickId,
+
+    page_title: document.title,
+    page_location: window.location.href,
+    page_path: window.location.pathname,
+
+    element_tag: tag,
+    element_id: el.id || "",
+    element_classes: safeText(el.className, 120),
+    element_text: text,
+    element_selector: cssPath(el),
+
+    link_href: href || "",
+    link_url: linkUrl || "",
+    is_outbound: outbound,
+    is_download: isDownload || false,
+    file_extension: ext || "",
+
+    track_name: trackName,
+    track_value: trackValue,
+
+    impression_id: impressionIdFor(el),
+    experiment_variants: experimentVariantsString()
+  });
+
+  if (isDownload && linkUrl) {
+    pushToDataLayer("au_download", {
+      click_id: clickId,
+      file_url: linkUrl,
+      file_extension: ext,
+      page_path: window.location.pathname,
+      ...assetFields(a)
+    });
+  }
+
+  if (outbound && linkUrl) {
+    pushToDataLayer("au_outbound", {
+      click_id: clickId,
+      outbound_url: linkUrl,
+      page_path: window.location.pathname
+    });
+  }
+
+  return clickId;
+}
+
+document.addEventListener("pointerdown", function (e) {
+
+  const target = e.target;
+
+  // Klick i debug-inspektören ska inte spåras
+  if (target?.closest?.("#au-inspector")) return;
+
+  const el = clickableFor(target);
+  if (!el) return;
+
+  lastPointerClick = { el, clickId: trackRawClick(el), at: Date.now() };
+  watchClickOutcome(el, target, lastPointerClick.clickId, e);
+
+}, { capture: true });
+
+// =========================
+// Tracking rules (semantiska klick-event)
+// =========================
+// En regel = selector + eventnamn + parametrar. Första matchande regel vinner,
+// så ett klick ger max ett semantiskt event, länkat till sitt au_click via click_id.
+//
+// Parametrar (extractors):
+//   "text"            elementets text
+//   "text:<selector>" text från ett barn-element, annars elementets text
+//   "href"            länkens absoluta URL (null om ingen länk)
+//   "attr:<name>"     attributvärde
+//   "=<value>"        fast värde
+//
+// Regler kan också sättas direkt i HTML (går före alla andra regler):
+//   <a data-track-event="lead_magnet_click" data-track-param-asset="zip">
+// Eventnamnet måste finnas i EVENT_SCHEMAS.
+const DEFAULT_TRACKING_RULES = [
+  {
+    name: "work_card",
+    selector: ".work-card-link",
+    event: "view_work_click",
+    params: { link_text: "text:h3", link_url: "href" }
+  },
+  {
+    // Hero-knappen har olika text i hero_cta_copy-experimentet, så matcha på länken
+    name: "hero_work_cta",
+    selector: ".hero .cta a[href='#work']",
+    event: "view_work_click",
+    params: { link_text: "text", link_url: "href" }
+  },
+  {
+    name: "view_work_cta",
+    selector: "a, button",
+    text: "view work",
+    event: "view_work_click",
+    params: { link_text: "text", link_url: "href" }
+  },
+  {
+    name: "menu",
+    selector: "nav a, .menu-btn",
+    event: "menu_click",
+    params: { link_text: "text", link_url: "href" }
+  }
+];
+
+const trackingRules = DEFAULT_TRACKING_RULES.slice();
+
+function addTrackingRules(rules) {
+  [].concat(rules || []).forEach(rule => {
+    if (!rule || !rule.selector || !rule.event) {
+      console.warn("Tracking rule needs selector and event:", rule);
+      return;
+    }
+    // Sidans egna regler går före standardreglerna
+    trackingRules.splice(trackingRules.length - DEFAULT_TRACKING_RULES.length, 0, rule);
+  });
+}
+
+function extractParam(el, spec) {
+  if (typeof spec !== "string") return spec;
+  if (spec.startsWith("=")) return spec.slice(1);
+  if (spec === "text") return safeText(el.textContent);
+  if (spec === "href") return el.closest("a")?.href || null;
+  if (spec.startsWith("attr:")) return el.getAttribute(spec.slice(5)) || "";
+  if (spec.startsWith("text:")) {
+    return safeText(el.querySelector(spec.slice(5))?.textContent) || safeText(el.textContent);
+  }
+  return "";
+}
+
+function attributeRule(target) {
+  const el = target?.closest?.("[data-track-event]");
+  if (!el) return null;
+
+  const params = {};
+  Array.from(el.attributes).forEach(attr => {
+    if (attr.name.startsWith("data-track-param-")) {
+      params[attr.name.slice("data-track-param-".length).replace(/-/g, "_")] = `=${attr.value}`;
+    }
+  });
+
+  return { el, rule: { name: "attribute", event: el.getAttribute("data-track-event"), params } };
+}
+
+function matchTrackingRule(target) {
+  const fromAttributes = attributeRule(target);
+  if (fromAttributes) return fromAttributes;
+
+  for (const rule of trackingRules) {
+    const el = target?.closest?.(rule.selector);
+    if (!el) continue;
+    if (rule.text && safeText(el.textContent).toLowerCase() !== rule.text.toLowerCase()) continue;
+    return { el, rule };
+  }
+  return null;
+}
+
+document.addEventListener("click", function (e) {
+  const target = e.target;
+  if (target?.closest?.("#au-inspector")) return;
+
+  const clickable = clickableFor(target);
+  let clickId = "";
+
+  // Samma interaktion som senaste pointerdown: återanvänd dess click_id
+  if (lastPointerClick && lastPointerClick.el === clickable && Date.now() - lastPointerClick.at < 5000) {
+    clickId = lastPointerClick.clickId;
+  } else if (e.isTrusted && clickable) {
+    // Tangentbord (Enter/Space) ger click utan pointerdown
+    clickId = trackRawClick(clickable);
+  }
+  lastPointerClick = null;
+
+  const match = matchTrackingRule(target);
+  if (!match) return;
+
+  const params = {};
+  Object.keys(match.rule.params || {}).forEach(key => {
+    params[key] = extractParam(match.el, match.rule.params[key]);
+  });
+
+  pushToDataLayer(match.rule.event, {
+    ...params,
+    click_id: clickId,
+    rule_name: match.rule.name || ""
+  });
+}, { capture: true });
+
+window.auTracking = {
+  addRules: addTrackingRules,
+  rules: () => trackingRules.slice()
+};
+
+// =========================
+// Frustration: rage, dead och error clicks
+// =========================
+// Bygger på pointerdown-trackern: varje klick bevakas en kort stund efteråt.
+//   au_rage_click  3+ klick inom 1 s på max 30 px avstånd (ett event per skur)
+//   au_dead_click  klick utan effekt (ingen navigering, DOM-ändring, scroll eller ny flik)
+//                  på länkar/knappar, eller på element som ser klickbara ut men inte är det
+//   au_error_click JS-fel inom 1 s efter klicket
+// Bara DOM-ändringar som hör till klicket räknas som effekt: på elementet, i dess
+// förfäder/ättlingar eller i det elementet styr (aria-controls, #ankare). Inspektören
+// och consent-bannern räknas aldrig. Observer och timer körs bara medan ett klick bevakas.
+const RAGE_CLICK_COUNT = 3;
+const RAGE_CLICK_WINDOW_MS = 1000;
+const RAGE_CLICK_RADIUS_PX = 30;
+const CLICK_OUTCOME_WINDOW_MS = 1000;
+const CLICK_EFFECT_IGNORE = "#au-inspector, #au-consent";
+
+let recentClicks = [];
+let rageBurstActive = false;
+const pendingClicks = new Set();
+
+function frustrationParams(el, clickId) {
+  return {
+    click_id: clickId,
+    element_selector: cssPath(el),
+    element_text: safeText(el.textContent),
+    page_path: window.location.pathname
+  };
+}
+
+function checkRageClick(el, clickId, e) {
+  const now = Date.now();
+  recentClicks = recentClicks.filter(c => now - c.at < RAGE_CLICK_WINDOW_MS);
+
+  const near = recentClicks.filter(c =>
+    Math.hypot(c.x - e.clientX, c.y - e.clientY) <= RAGE_CLICK_RADIUS_PX);
+
+  recentClicks.push({ x: e.clientX, y: e.clientY, at: now });
+
+  if (near.length + 1 < RAGE_CLICK_COUNT) {
+    if (!near.length) rageBurstActive = false;
+    return;
+  }
+  if (rageBurstActive) return;
+  rageBurstActive = true;
+
+  pushToDataLayer("au_rage_click", {
+    ...frustrationParams(el, clickId),
+    click_count: near.length + 1
+  });
+}
+
+// Länkar som legitimt inte ändrar något på sidan (nedladdning, ny flik, mailto)
+function expectsNoEffect(el) {
+  if (el.matches("input, select, textarea, label, option") || el.closest("label")) return true;
+
+  const a = el.closest("a");
+  if (!a) return false;
+  const href = a.getAttribute("href") || "";
+  return a.hasAttribute("download") ||
+    downloadExt.has(getExtension(href)) ||
+    a.target === "_blank" ||
+    /^(mailto|tel|sms):/i.test(href);
+}
+
+function looksClickable(el) {
+  if (el.matches("img, svg, .btn, .card, [class*='btn'], [class*='link']")) return true;
+  try {
+    return window.getComputedStyle(el).cursor === "pointer";
+  } catch {
+    return false;
+  }
+}
+
+function watchClickOutcome(el, target, clickId, e) {
+  checkRageClick(el, clickId, e);
+
+  const interactive = el.matches?.(CLICKABLE_SELECTOR) || el.hasAttribute?.("onclick");
+  if (interactive && expectsNoEffect(el)) return;
+  if (!interactive && !looksClickable(target)) {
+    // Vanlig text/yta: bevaka bara för JS-fel
+    pendingClicks.add({ el, clickId, at: Date.now(), effect: true, errored: false, checkDead: false });
+    watchPendingClicks();
+    return;
+  }
+
+  const pending = {
+    el,
+    clickId,
+    at: Date.now(),
+    effect: false,
+    errored: false,
+    checkDead: true,
+    interactive,
+    related: clickRelatedElements(el)
+  };
+  pendingClicks.add(pending);
+  watchPendingClicks();
+}
+
+// Elementet plus det det styr (aria-controls="id …" eller en länk till #id på sidan)
+function clickRelatedElements(el) {
+  const ids = (el.getAttribute?.("aria-controls") || "").split(/\s+/);
+  const href = el.closest?.("a")?.getAttribute("href") || "";
+  if (href.length > 1 && href.startsWith("#")) ids.push(href.slice(1));
+
+  const related = [el];
+  ids.filter(Boolean).forEach(id => {
+    const node = document.getElementById(id);
+    if (node) related.push(node);
+  });
+  return related;
+}
+
+function ignoredForClickEffect(node) {
+  const element = node.nodeType === 1 ? node : node.parentElement;
+  return !element || Boolean(element.closest(CLICK_EFFECT_IGNORE));
+}
+
+// Noder som en mutation rör: målet, och för childList även tillagda/borttagna noder.
+// En childList-ändring som bara gäller inspektören/bannern räknas inte alls.
+function mutationNodes(mutation) {
+  if (ignoredForClickEffect(mutation.target)) return [];
+  if (mutation.type !== "childList") return [mutation.target];
+
+  const changed = [...mutation.addedNodes, ...mutation.removedNodes].filter(node => !ignoredForClickEffect(node));
+  return changed.length ? [mutation.target, ...changed] : [];
+}
+
+function markClickEffect() {
+  pendingClicks.forEach(p => { p.effect = true; });
+}
+
+// Felet knyts till det senaste klicket inom fönstret
+function markClickError(message) {
+  const now = Date.now();
+  let latest = null;
+  pendingClicks.forEach(p => {
+    if (now - p.at <= CLICK_OUTCOME_WINDOW_MS && (!latest || p.at >= latest.at)) latest = p;
+  });
+  if (!latest || latest.errored) return;
+  latest.errored = true;
+
+  pushToDataLayer("au_error_click", {
+    ...frustrationParams(latest.el, latest.clickId),
+    error_message: safeText(message, 150)
+  });
+}
+
+function handleClickMutations(mutations) {
+  const now = Date.now();
+  const waiting = [...pendingClicks].filter(p => !p.effect && now - p.at < CLICK_OUTCOME_WINDOW_MS);
+  if (!waiting.length) return;
+
+  mutations.forEach(mutation => {
+    mutationNodes(mutation).forEach(node => {
+      waiting.forEach(p => {
+        if (p.related.some(r => r.contains(node) || node.contains(r))) p.effect = true;
+      });
+    });
+  });
+}
+
+const clickEffectObserver = new MutationObserver(handleClickMutations);
+
+let clickSweepTimer = null;
+let clickObserverActive = false;
+
+function watchPendingClicks() {
+  if (!clickObserverActive) {
+    clickEffectObserver.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+    clickObserverActive = true;
+  }
+  if (!clickSweepTimer) clickSweepTimer = setTimeout(sweepPendingClicks, CLICK_OUTCOME_WINDOW_MS);
+}
+
+// Gå igenom bevakade klick när fönstret löpt ut, och sluta bevaka när inga finns kvar
+function sweepPendingClicks() {
+  clickSweepTimer = null;
+  handleClickMutations(clickEffectObserver.takeRecords()); // ändringar som inte levererats än
+
+  const now = Date.now();
+  pendingClicks.forEach(p => {
+    if (now - p.at < CLICK_OUTCOME_WINDOW_MS) return;
+    pendingClicks.delete(p);
+
+    if (!p.checkDead || p.effect || p.errored) return;
+
+    pushToDataLayer("au_dead_click", {
+      ...frustrationParams(p.el, p.clickId),
+      dead_reason: p.interactive ? "no_effect" : "non_interactive",
+      element_tag: (p.el.tagName || "").toLowerCase()
+    });
+  });
+
+  if (!pendingClicks.size) {
+    clickEffectObserver.disconnect();
+    clickObserverActive = false;
+    return;
+  }
+  const oldest = Math.min(...[...pendingClicks].map(p => p.at));
+  clickSweepTimer = setTimeout(sweepPendingClicks, Math.max(0, oldest + CLICK_OUTCOME_WINDOW_MS - now));
+}
+
+["hashchange", "popstate", "pagehide", "beforeunload", "blur", "scroll"].forEach(type => {
+  window.addEventListener(type, markClickEffect, { passive: true });
+});
+
+window.addEventListener("error", function (e) {
+  markClickError(e.message || "Error");
+});
+
+window.addEventListener("unhandledrejection", function (e) {
+  markClickError(e.reason?.message || String(e.reason || "Unhandled rejection"));
+});
+
+// =========================
+// Impressions (work cards, hero-CTA, [data-track])
+// =========================
+// Ett element räknas som visat när ≥50% syns i minst 1 s, en gång per sidvisning.
+// impression_id följer med på senare au_click på samma element (CTR per kort).
+const IMPRESSION_SELECTOR = ".work-card-link, .hero .cta a, .hero .cta button, [data-track]";
+const IMPRESSION_MIN_RATIO = 0.5;
+const IMPRESSION_MIN_MS = 1000;
+
+const impressionIds = new WeakMap();
+const impressionTimers = new WeakMap();
+const impressionWatched = new WeakSet();
+let impressionCounter = 0;
+
+function impressionType(el) {
+  if (el.matches(".work-card-link")) return "work_card";
+  if (el.matches(".hero .cta a, .hero .cta button")) return "hero_cta";
+  return "data_track";
+}
+
+function impressionIdFor(el) {
+  const tracked = el?.closest?.(IMPRESSION_SELECTOR);
+  return (tracked && impressionIds.get(tracked)) || "";
+}
+
+function fireImpression(el, ratio) {
+  impressionTimers.delete(el);
+  if (impressionIds.has(el)) return;
+
+  // Fliken i bakgrunden: vänta tills den syns igen
+  if (document.visibilityState !== "visible") {
+    impressionTimers.set(el, setTimeout(() => fireImpression(el, ratio), IMPRESSION_MIN_MS));
+    return;
+  }
+
+  impressionCounter += 1;
+  const id = `${pageId}_i${impressionCounter}`;
+  impressionIds.set(el, id);
+  impressionObserver?.unobserve(el);
+
+  const href = el.closest("a")?.getAttribute("href") || "";
+
+  pushToDataLayer("au_impression", {
+    impression_id: id,
+    page_id: pageId,
+    impression_type: impressionType(el),
+    element_selector: cssPath(el),
+    element_text: safeText(el.querySelector("h3")?.textContent || el.getAttribute("aria-label") || el.textContent),
+    link_url: safeAbsUrl(href),
+    track_name: el.getAttribute("data-track") || "",
+    visible_ratio: Math.round(ratio * 100) / 100,
+    page_path: window.location.pathname
+  });
+}
+
+const impressionObserver = "IntersectionObserver" in window
+  ? new IntersectionObserver(function (entries) {
+    entries.forEach(entry => {
+      const el = entry.target;
+      if (impressionIds.has(el)) return;
+
+      if (entry.isIntersecting && entry.intersectionRatio >= IMPRESSION_MIN_RATIO) {
+        if (!impressionTimers.has(el)) {
+          impressionTimers.set(el, setTimeout(() => fireImpression(el, entry.intersectionRatio), IMPRESSION_MIN_MS));
+        }
+      } else if (impressionTimers.has(el)) {
+        clearTimeout(impressionTimers.get(el));
+        impressionTimers.delete(el);
+      }
+    });
+  }, { threshold: [0, IMPRESSION_MIN_RATIO, 1] })
+  : null;
+
+function watchImpressions(root) {
+  if (!impressionObserver || !root.querySelectorAll) return;
+  const found = Array.from(root.querySelectorAll(IMPRESSION_SELECTOR));
+  if (root.matches?.(IMPRESSION_SELECTOR)) found.push(root);
+
+  found.forEach(el => {
+    if (impressionWatched.has(el)) return;
+    impressionWatched.add(el);
+    impressionObserver.observe(el);
+  });
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+  watchImpressions(document);
+
+  // Element som läggs till senare (t.ex. [data-track] från sidans egna script)
+  new MutationObserver(function (mutations) {
+    mutations.forEach(m => m.addedNodes.forEach(node => {
+      if (node.nodeType === 1) watchImpressions(node);
+    }));
+  }).observe(document.body, { childList: true, subtree: true });
+});
+
+// =========================
+// Scroll depth
+// =========================
+const SCROLL_MILESTONES = [25, 50, 75, 90];
+const scrollMilestonesSent = new Set();
+let scrollTicking = false;
+
+function scrollPercent() {
+  const doc = document.documentElement;
+  const scrollable = Math.max(doc.scrollHeight, document.body?.scrollHeight || 0);
+  if (!scrollable) return 0;
+  const seen = window.scrollY + window.innerHeight;
+  return Math.min(100, Math.round((seen / scrollable) * 100));
+}
+
+function checkScrollDepth() {
+  scrollTicking = false;
+  const percent = scrollPercent();
+
+  SCROLL_MILESTONES.forEach(milestone => {
+    if (percent < milestone || scrollMilestonesSent.has(milestone)) return;
+    scrollMilestonesSent.add(milestone);
+
+    pushToDataLayer("au_scroll", {
+      page_id: pageId,
+      percent_scrolled: milestone,
+      page_path: window.location.pathname
+    });
+  });
+}
+
+window.addEventListener("scroll", function () {
+  if (scrollTicking) return;
+  scrollTicking = true;
+  window.requestAnimationFrame(checkScrollDepth);
+}, { passive: true });
+
+// Korta sidor som syns helt direkt räknas också
+window.addEventListener("load", checkScrollDepth);
+
+// =========================
+// Engagement time (bara förgrund + aktiv)
+// =========================
+const ENGAGEMENT_IDLE_MS = 30000;
+const ENGAGEMENT_TICK_MS = 1000;
+
+let engagedMs = 0;
+let lastActivityAt = Date.now();
+let lastTickAt = Date.now();
+
+function isEngaged(now) {
+  return document.visibilityState === "visible" && now - lastActivityAt < ENGAGEMENT_IDLE_MS;
+}
+
+function tickEngagement() {
+  const now = Date.now();
+  if (isEngaged(now)) engagedMs += now - lastTickAt;
+  lastTickAt = now;
+}
+
+function markActivity() {
+  tickEngagement();
+  lastActivityAt = Date.now();
+}
+
+["pointerdown", "pointermove", "keydown", "scroll", "touchstart", "wheel"].forEach(type => {
+  window.addEventListener(type, markActivity, { passive: true, capture: true });
+});
+
+setInterval(tickEngagement, ENGAGEMENT_TICK_MS);
+
+function flushEngagement(reason) {
+  tickEngagement();
+  if (engagedMs < ENGAGEMENT_TICK_MS) return;
+
+  pushToDataLayer("au_engagement", {
+    page_id: pageId,
+    engagement_time_msec: engagedMs,
+    flush_reason: reason,
+    percent_scrolled: scrollPercent(),
+    page_path: window.location.pathname
+  });
+
+  // Nästa flush skickar bara tiden sedan denna
+  engagedMs = 0;
+}
+
+// pagehide är inte garanterat på mobil, så flusha även när fliken göms
+document.addEventListener("visibilitychange", function () {
+  if (document.visibilityState === "hidden") {
+    flushEngagement("hidden");
+  } else {
+    lastTickAt = Date.now();
+    lastActivityAt = Date.now();
+  }
+});
+
+window.addEventListener("pagehide", function () {
+  flushEngagement("pagehide");
+});
+
+// Tillbaka från bfcache: börja räkna på nytt
+window.addEventListener("pageshow", function (e) {
+  if (!e.persisted) return;
+  engagedMs = 0;
+  lastTickAt = Date.now();
+  lastActivityAt = Date.now();
+});
+
+// =========================
+// Form analytics
+// =========================
+// Fungerar på alla <form>, även de som läggs till senare (delegering på document).
+// Inga fältvärden skickas, bara namn.
+// Felmeddelanden fångas via: native validering (invalid), element med
+// [data-form-error] inuti formuläret, eller window.auForms.error(form, message[, fieldName]).
+const formStates = new Map();
+
+function formId(form) {
+  return form.id || form.getAttribute("name") || cssPath(form);
+}
+
+function fieldName(field) {
+  return field.getAttribute("name") || field.id || field.type || field.tagName.toLowerCase();
+}
+
+function isTrackableField(field) {
+  return field && field.form &&
+    ["INPUT", "SELECT", "TEXTAREA"].includes(field.tagName) &&
+    !["hidden", "submit", "button", "reset"].includes(field.type);
+}
+
+function formState(form) {
+  let state = formStates.get(form);
+  if (!state) {
+    state = {
+      startedAt: 0,
+      completedFields: new Set(),
+      lastField: "",
+      submits: 0,
+      lastSubmitAt: 0,
+      completed: false,
+      abandoned: false,
+      lastError: ""
+    };
+    formStates.set(form, state);
+  }
+  return state;
+}
+
+function startForm(form, field) {
+  const state = formState(form);
+  if (state.startedAt) return state;
+  state.startedAt = Date.now();
+
+  pushToDataLayer("form_start", {
+    form_id: formId(form),
+    field_name: field ? fieldName(field) : "",
+    page_path: window.location.pathname
+  });
+
+  return state;
+}
+
+function reportFormError(form, message, details = {}) {
+  if (!form || !message) return;
+  const state = formState(form);
+  state.completed = false;
+
+  // Samma fel för samma submit räknas en gång
+  const key = `${state.submits}:${details.field_name || ""}:${message}`;
+  if (state.lastError === key) return;
+  state.lastError = key;
+
+  pushToDataLayer("form_error", {
+    form_id: formId(form),
+    error_message: safeText(message, 150),
+    error_type: details.error_type || "message",
+    field_name: details.field_name || "",
+    submit_attempt: state.submits,
+    page_path: window.location.pathname
+  });
+}
+
+document.addEventListener("input", function (e) {
+  if (isTrackableField(e.target)) {
+    const state = startForm(e.target.form, e.target);
+    state.lastField = fieldName(e.target);
+  }
+}, true);
+
+document.addEventListener("change", function (e) {
+  const field = e.target;
+  if (!isTrackableField(field)) return;
+
+  const form = field.form;
+  const state = startForm(form, field);
+  const name = fieldName(field);
+  state.lastField = name;
+
+  const filled = ["checkbox", "radio"].includes(field.type) ? field.checked : String(field.value).trim() !== "";
+  if (!filled || state.completedFields.has(name)) return;
+  state.completedFields.add(name);
+
+  pushToDataLayer("form_field_complete", {
+    form_id: formId(form),
+    field_name: name,
+    field_type: field.type || field.tagName.toLowerCase(),
+    field_index: Array.from(form.elements).indexOf(field),
+    page_path: window.location.pathname
+  });
+}, true);
+
+// Capture-fas så form_submit hamnar före sidans egen submit-hantering
+document.addEventListener("submit", function (e) {
+  const form = e.target;
+  if (!(form instanceof HTMLFormElement)) return;
+
+  const state = startForm(form);
+  state.submits += 1;
+  state.lastSubmitAt = Date.now();
+  state.completed = true;
+
+  pushToDataLayer("form_submit", {
+    form_id: formId(form),
+    submit_attempt: state.submits,
+    fields_completed: state.completedFields.size,
+    time_to_submit_msec: state.lastSubmitAt - state.startedAt,
+    page_path: window.location.pathname
+  });
+}, true);
+
+// Native validering (required, type=email osv.)
+document.addEventListener("invalid", function (e) {
+  const field = e.target;
+  if (!field.form) return;
+  startForm(field.form, field);
+  reportFormError(field.form, field.validationMessage || "Invalid value", {
+    error_type: "validation",
+    field_name: fieldName(field)
+  });
+}, true);
+
+// Felmeddelanden som sidan själv skriver ut i [data-form-error]
+const formErrorObserver = new MutationObserver(function (mutations) {
+  mutations.forEach(m => {
+    const el = m.target.nodeType === 1 ? m.target : m.target.parentElement;
+    const box = el?.closest?.("[data-form-error]");
+    if (!box) return;
+
+    const form = box.closest("form") || document.getElementById(box.getAttribute("data-form-error"));
+    const message = safeText(box.textContent, 150);
+    if (form && message) reportFormError(form, message);
+  });
+});
+
+document.addEventListener("DOMContentLoaded", function () {
+  formErrorObserver.observe(document.body, { childList: true, characterData: true, subtree: true });
+});
+
+window.addEventListener("pagehide", function () {
+  formStates.forEach((state, form) => {
+    if (!state.startedAt || state.completed || state.abandoned) return;
+    state.abandoned = true;
+
+    pushToDataLayer("form_abandon", {
+      form_id: formId(form),
+      last_field: state.lastField,
+      fields_completed: state.completedFields.size,
+      submit_attempt: state.submits,
+      time_spent_msec: Date.now() - state.startedAt,
+      page_path: window.location.pathname
+    });
+  });
+});
+
+window.auForms = {
+  error(form, message, field) {
+    reportFormError(typeof form === "string" ? document.getElementById(form) : form, message,
+      field ? { error_type: "validation", field_name: field } : {});
+  }
+};
+
+// =========================
+// Core Web Vitals
+// =========================
+// LCP, CLS, INP, FCP och TTFB via PerformanceObserver, ett au_web_vital per mått.
+// FCP och TTFB skickas direkt; LCP, CLS och INP är slutgiltiga först när sidan göms.
+// metric_target är elementet bakom måttet (cssPath); FCP/TTFB gäller hela dokumentet.
+const WEB_VITAL_THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800]
+};
+
+const webVitalsSent = new Set();
+const webVitals = {
+  lcp: null,      // { value, target }
+  cls: 0,
+  clsTarget: "",
+  clsWindow: { value: 0, entries: [] },
+  interactions: new Map() // interactionId -> { duration, target }
+};
+
+function navigationType() {
+  const nav = performance.getEntriesByType?.("navigation")?.[0];
+  return nav?.type || "navigate";
+}
+
+function reportWebVital(name, value, target) {
+  if (webVitalsSent.has(name) || typeof value !== "number" || !Number.isFinite(value)) return;
+  webVitalsSent.add(name);
+
+  const [good, poor] = WEB_VITAL_THRESHOLDS[name];
+  pushToDataLayer("au_web_vital", {
+    metric_name: name,
+    metric_value: name === "CLS" ? Math.round(value * 1000) / 1000 : Math.round(value),
+    metric_rating: value <= good ? "good" : value <= poor ? "needs-improvement" : "poor",
+    metric_target: target || "",
+    metric_id: `${pageId}_${name.toLowerCase()}`,
+    navigation_type: navigationType(),
+    page_id: pageId,
+    page_path: window.location.pathname
+  });
+}
+
+function observePerformance(type, callback, options = {}) {
+  try {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return null;
+    const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+    observer.observe({ type, buffered: true, ...options });
+    return observer;
+  } catch {
+    return null;
+  }
+}
+
+if ("PerformanceObserver" in window) {
+  observePerformance("paint", entry => {
+    if (entry.name === "first-contentful-paint") reportWebVital("FCP", entry.startTime, "document");
+  });
+
+  observePerformance("largest-contentful-paint", entry => {
+    webVitals.lcp = { value: entry.startTime, target: cssPath(entry.element) };
+  });
+
+  // CLS = största "session window" (skift med < 1 s mellanrum, max 5 s)
+  observePerformance("layout-shift", entry => {
+    if (entry.hadRecentInput) return;
+    const win = webVitals.clsWindow;
+    const first = win.entries[0];
+    const last = win.entries[win.entries.length - 1];
+
+    if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+      win.value += entry.value;
+      win.entries.push(entry);
+    } else {
+      win.value = entry.value;
+      win.entries = [entry];
+    }
+
+    if (win.value > webVitals.cls) {
+      webVitals.cls = win.value;
+      const biggest = win.entries.reduce((a, b) => (b.value > a.value ? b : a));
+      webVitals.clsTarget = cssPath(biggest.sources?.find(src => src.node)?.node);
+    }
+  });
+
+  // INP: längsta interaktionen (en räknas bort per 50 interaktioner)
+  observePerformance("event", entry => {
+    if (!entry.interactionId) return;
+    const prev = webVitals.interactions.get(entry.interactionId);
+    if (!prev || entry.duration > prev.duration) {
+      webVitals.interactions.set(entry.interactionId, { duration: entry.duration, target: cssPath(entry.target) });
+    }
+  }, { durationThreshold: 40 });
+
+  observePerformance("first-input", entry => {
+    if (!webVitals.interactions.size) {
+      webVitals.interactions.set(entry.interactionId || -1, { duration: entry.duration, target: cssPath(entry.target) });
+    }
+  });
+
+  observePerformance("navigation", entry => {
+    const ttfb = entry.responseStart - (entry.activationStart || 0);
+    if (ttfb >= 0) reportWebVital("TTFB", ttfb, "document");
+  });
+}
+
+function flushWebVitals() {
+  if (webVitals.lcp) reportWebVital("LCP", webVitals.lcp.value, webVitals.lcp.target);
+
+  // CLS skickas även när den är 0 (ingen layout shift = bra sida)
+  if (PerformanceObserver.supportedEntryTypes?.includes("layout-shift")) {
+    reportWebVital("CLS", webVitals.cls, webVitals.clsTarget);
+  }
+
+  if (webVitals.interactions.size) {
+    const sorted = Array.from(webVitals.interactions.values()).sort((a, b) => b.duration - a.duration);
+    const inp = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))];
+    reportWebVital("INP", inp.duration, inp.target);
+  }
+}
+
+document.addEventListener("visibilitychange", function () {
+  if (document.visibilityState === "hidden" && "PerformanceObserver" in window) flushWebVitals();
+});
+
+window.addEventListener("pagehide", function () {
+  if ("PerformanceObserver" in window) flushWebVitals();
+});
+
+// =========================
+// JS-fel
+// =========================
+// window.onerror + unhandledrejection som au_js_error, deduplicerade per sidvisning via
+// ett fingeravtryck av meddelande + översta stackraderna. Fel som sidan själv fångar
+// (t.ex. väder-fetchen) rapporteras med window.auErrors.report(err, "context").
+const JS_ERROR_MAX_PER_PAGE = 20;
+const jsErrorFingerprints = new Set();
+
+function stackFingerprint(message, stack) {
+  // Översta 3 raderna utan kolumnnummer, så samma fel från olika byggen/klick matchar
+  const frames = String(stack || "")
+    .split("\n")
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith(message))
+    .slice(0, 3)
+    .map(line => line.replace(/:\d+\)?$/, ""));
+  return fnv1a(`${message}|${frames.join("|")}`).toString(16);
+}
+
+function reportJsError(error, { type = "handled", context = "", source = "" } = {}) {
+  const message = safeText(error?.message || String(error || "Unknown error"), 200);
+  const fingerprint = stackFingerprint(message, error?.stack || source);
+
+  if (jsErrorFingerprints.has(fingerprint) || jsErrorFingerprints.size >= JS_ERROR_MAX_PER_PAGE) return;
+  jsErrorFingerprints.add(fingerprint);
+
+  pushToDataLayer("au_js_error", {
+    error_message: message,
+    error_type: type,
+    error_source: source,
+    error_context: context,
+    error_fingerprint: fingerprint,
+    page_id: pageId,
+    page_path: window.location.pathname
+  });
+}
+
+window.addEventListener("error", function (e) {
+  // Resursfel (img/script som inte laddar) har inget ErrorEvent-meddelande
+  if (!(e instanceof ErrorEvent)) return;
+  reportJsError(e.error || { message: e.message }, {
+    type: "error",
+    source: e.filename ? `${e.filename}:${e.lineno}:${e.colno}` : ""
+  });
+});
+
+window.addEventListener("unhandledrejection", function (e) {
+  const reason = e.reason instanceof Error ? e.reason : { message: String(e.reason) };
+  reportJsError(reason, { type: "unhandledrejection" });
+});
+
+window.auErrors = {
+  report: (error, context = "") => reportJsError(error, { type: "handled", context })
+};
+
+// =========================
+// Media (video/audio)
+// =========================
+// Mediaevent bubblar inte, men går att fånga i capture-fas på document, så
+// element som läggs till senare följer med automatiskt.
+// play_trigger: "user" (interaktion precis innan), "autoplay_muted" eller "autoplay".
+const MEDIA_MILESTONES = [10, 25, 50, 75, 90];
+const MEDIA_USER_GESTURE_MS = 1000;
+
+const mediaStates = new WeakMap();
+let lastUserGestureAt = 0;
+
+["pointerdown", "keydown"].forEach(type => {
+  document.addEventListener(type, () => { lastUserGestureAt = Date.now(); }, { capture: true, passive: true });
+});
+
+function isMediaElement(el) {
+  return el instanceof HTMLMediaElement;
+}
+
+function mediaState(el) {
+  let state = mediaStates.get(el);
+  if (!state || state.src !== el.currentSrc) {
+    state = { src: el.currentSrc, started: false, milestones: new Set(), seekFrom: 0, lastTime: 0, trigger: "" };
+    mediaStates.set(el, state);
+  }
+  return state;
+}
+
+function mediaParams(el, state) {
+  const duration = Number.isFinite(el.duration) ? el.duration : 0;
+  const src = el.currentSrc || el.getAttribute("src") || "";
+
+  return {
+    media_src: /^(data|blob):/.test(src) ? src.split(":")[0] : safeAbsUrl(src),
+    media_type: el.tagName.toLowerCase(),
+    media_title: safeText(el.getAttribute("title") || el.getAttribute("aria-label")),
+    media_duration: Math.round(duration),
+    media_current_time: Math.round(el.currentTime || 0),
+    media_percent: duration ? Math.round((el.currentTime / duration) * 100) : 0,
+    play_trigger: state.trigger,
+    element_selector: cssPath(el),
+    page_path: window.location.pathname
+  };
+}
+
+function onMediaEvent(e) {
+  const el = e.target;
+  if (!isMediaElement(el)) return;
+  const state = mediaState(el);
+
+  switch (e.type) {
+    case "play": {
+      const byUser = Date.now() - lastUserGestureAt < MEDIA_USER_GESTURE_MS;
+      state.trigger = byUser ? "user" : el.muted ? "autoplay_muted" : "autoplay";
+      if (!state.started) {
+        state.started = true;
+        pushToDataLayer("media_start", mediaParams(el, state));
+      }
+      break;
+    }
+
+    case "pause":
+      // "pause" kommer också när mediet tar slut och under seek, de räknas inte
+      if (!el.ended && !el.seeking) pushToDataLayer("media_pause", mediaParams(el, state));
+      break;
+
+    case "seeking":
+      state.seekFrom = state.lastTime;
+      break;
+
+    case "seeked":
+      pushToDataLayer("media_seek", {
+        ...mediaParams(el, state),
+        seek_from: Math.round(state.seekFrom)
+      });
+      break;
+
+    case "timeupdate": {
+      if (!el.seeking) state.lastTime = el.currentTime;
+      if (!el.duration || !Number.isFinite(el.duration) || el.paused) break;
+
+      const percent = (el.currentTime / el.duration) * 100;
+      MEDIA_MILESTONES.forEach(milestone => {
+        if (percent < milestone || state.milestones.has(milestone)) return;
+        state.milestones.add(milestone);
+        pushToDataLayer("media_progress", { ...mediaParams(el, state), media_percent: milestone });
+      });
+      break;
+    }
+
+    case "ended":
+      pushToDataLayer("media_complete", mediaParams(el, state));
+      // Spelas den igen räknas det som en ny start
+      mediaStates.delete(el);
+      break;
+  }
+}
+
+["play", "pause", "seeking", "seeked", "timeupdate", "ended"].forEach(type => {
+  document.addEventListener(type, onMediaEvent, true);
+});
+
+// =========================
+// Consent banner
+// =========================
+function renderConsentBanner() {
+  if (!document.body) {
+    document.addEventListener("DOMContentLoaded", renderConsentBanner, { once: true });
+    return;
+  }
+  if (!window.auConsent.isPending() || document.getElementById("au-consent")) return;
+
+  const banner = document.createElement("div");
+  banner.id = "au-consent";
+  banner.setAttribute("role", "dialog");
+  banner.setAttribute("aria-label", "Cookie consent");
+  banner.style.cssText = [
+    "position:fixed", "left:16px", "right:16px", "bottom:16px", "z-index:1000",
+    "max-width:560px", "margin-inline:auto", "padding:18px 20px",
+    "background:#fff", "color:#121212", "border:1px solid #e0d8cf", "border-radius:18px",
+    "box-shadow:0 18px 42px rgba(0,0,0,0.12)",
+    "font:14px/1.5 'Source Sans 3', 'Helvetica Neue', Helvetica, Arial, sans-serif"
+  ].join(";");
+
+  banner.innerHTML = `
+    <p style="margin:0 0 12px">This site uses cookies to understand how the portfolio is used. You can accept analytics only, or analytics and advertising.</p>
+    <div style="display:flex; gap:10px; flex-wrap:wrap">
+      <button type="button" data-consent="all">Accept all</button>
+      <button type="button" data-consent="analytics">Analytics only</button>
+      <button type="button" data-consent="none">Decline</button>
+    </div>
+  `;
+
+  banner.querySelectorAll("button").forEach(btn => {
+    btn.style.cssText = "padding:8px 16px; border-radius:999px; border:1px solid #121212; background:#fff; color:#121212; cursor:pointer; font:inherit";
+
+    btn.addEventListener("click", function () {
+      const choice = this.getAttribute("data-consent");
+      if (choice === "all") window.auConsent.grant();
+      else if (choice === "analytics") window.auConsent.grant(["analytics"]);
+      else window.auConsent.deny();
+    });
+  });
+  banner.querySelector("button").style.cssText += ";background:#121212; color:#fff";
+
+  document.body.appendChild(banner);
+}
+
+renderConsentBanner();
 
 // =========================
-// Debug helper
+// Debug: dataLayer-inspektör
 // =========================
-window.showDataLayerHistory = function () {
-  console.table(window.dataLayer);
-};
\ No newline at end of file
+// Öppnas automatiskt med ?au_debug=1, annars Ctrl+Shift+D (Cmd+Shift+D på Mac).
+const INSPECTOR_STATUS_COLORS = {
+  sent: "#2e7d32",
+  queued: "#b26a00",
+  blocked: "#6c645b",
+  dropped: "#c62828"
+};
+
+let inspector = null;
+
+function inspectorEscape(str) {
+  return String(str).replace(/[&<>"']/g, ch => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;"
+  })[ch]);
+}
+
+function highlightElement(selector) {
+  if (!inspector) return;
+  const box = inspector.highlight;
+  box.style.display = "none";
+  if (!selector) return;
+
+  let el = null;
+  try {
+    el = document.querySelector(selector);
+  } catch {
+    // cssPath kan ge selektorer som inte går att parsa (t.ex. id med specialtecken)
+  }
+  if (!el) return;
+
+  el.scrollIntoView({ block: "center", behavior: "smooth" });
+
+  // Vänta in scrollen innan rutan placeras
+  setTimeout(() => {
+    const rect = el.getBoundingClientRect();
+    Object.assign(box.style, {
+      display: "block",
+      top: `${rect.top - 4}px`,
+      left: `${rect.left - 4}px`,
+      width: `${rect.width + 8}px`,
+      height: `${rect.height + 8}px`
+    });
+  }, 350);
+}
+
+function exportInspectorSession() {
+  const data = {
+    exported_at: new Date().toISOString(),
+    page_id: pageId,
+    page_location: window.location.href,
+    user_agent: navigator.userAgent,
+    consent: window.auConsent.status(),
+    events: dataLayerLog.map(entry => ({
+      status: entry.status,
+      note: entry.note,
+      payload: entry.payload
+    }))
+  };
+
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `datalayer-${pageId}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function renderInspectorRow(entry) {
+  const p = entry.payload;
+  const clickId = p.click_id || "";
+  const linked = clickId && p.event !== "au_click";
+
+  const row = document.createElement("div");
+  row.className = "row" + (linked ? " linked" : "");
+  row.dataset.event = p.event;
+  row.dataset.clickId = clickId;
+
+  const time = new Date(entry.at).toLocaleTimeString();
+  const extra = Object.keys(p)
+    .filter(key => !["event", "timestamp"].includes(key))
+    .map(key => `<span class="k">${inspectorEscape(key)}</span>=${inspectorEscape(JSON.stringify(p[key]))}`)
+    .join(" ");
+
+  row.innerHTML = `
+    <div class="head">
+      <span class="status" style="background:${INSPECTOR_STATUS_COLORS[entry.status] || "#333"}">${entry.status}</span>
+      <b>${linked ? "↳ " : ""}${inspectorEscape(p.event)}</b>
+      <span class="time">${time}</span>
+    </div>
+    <div class="params">${extra}${entry.note ? `<div class="note">${inspectorEscape(entry.note)}</div>` : ""}</div>
+  `;
+
+  row.addEventListener("click", function () {
+    inspector.list.querySelectorAll(".row.active").forEach(r => r.classList.remove("active"));
+
+    // Markera alla event som hör till samma klick (au_click -> au_download/au_outbound)
+    if (clickId) {
+      inspector.list.querySelectorAll(".row").forEach(r => {
+        if (r.dataset.clickId === clickId) r.classList.add("active");
+      });
+    } else {
+      row.classList.add("active");
+    }
+
+    const source = clickId
+      ? dataLayerLog.find(e => e.payload.event === "au_click" && e.payload.click_id === clickId)
+      : null;
+    highlightElement(source?.payload.element_selector || p.element_selector);
+  });
+
+  return row;
+}
+
+function applyInspectorFilter() {
+  if (!inspector) return;
+  const name = inspector.filter.value;
+  inspector.list.querySelectorAll(".row").forEach(row => {
+    row.style.display = !name || row.dataset.event === name ? "" : "none";
+  });
+}
+
+function addInspectorEntry(entry) {
+  if (!inspector) return;
+
+  const existing = inspector.rows.get(entry);
+  if (!existing && !dataLayerLog.includes(entry)) return; // redan utfasad ur loggen
+
+  const row = renderInspectorRow(entry);
+  if (existing) {
+    existing.replaceWith(row);
+  } else {
+    inspector.list.prepend(row);
+  }
+  inspector.rows.set(entry, row);
+
+  // Samma tak som dataLayerLog: de äldsta raderna försvinner när loggen kortas
+  for (const [old, oldRow] of inspector.rows) {
+    if (inspector.rows.size <= dataLayerLog.length) break;
+    oldRow.remove();
+    inspector.rows.delete(old);
+  }
+
+  const name = entry.payload.event;
+  if (!inspector.eventNames.has(name)) {
+    inspector.eventNames.add(name);
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = name;
+    inspector.filter.appendChild(opt);
+  }
+
+  applyInspectorFilter();
+}
+
+function openInspector() {
+  if (inspector) {
+    inspector.host.style.display = "";
+    return;
+  }
+  if (!document.body) {
+    document.addEventListener("DOMContentLoaded", openInspector, { once: true });
+    return;
+  }
+
+  const host = document.createElement("div");
+  host.id = "au-inspector";
+  const root = host.attachShadow({ mode: "open" });
+
+  root.innerHTML = `
+    <style>
+      .panel{position:fixed; right:12px; bottom:12px; z-index:2147483646; width:min(420px, calc(100vw - 24px)); max-height:min(70vh, 560px);
+        display:flex; flex-direction:column; background:#111; color:#eee; border-radius:14px; box-shadow:0 18px 42px rgba(0,0,0,0.35);
+        font:12px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace}
+      .bar{display:flex; gap:6px; align-items:center; padding:8px 10px; border-bottom:1px solid #333}
+      .bar b{flex:1; font-family:inherit}
+      select, button{font:inherit; color:#eee; background:#222; border:1px solid #444; border-radius:6px; padding:3px 6px; cursor:pointer}
+      .list{overflow:auto; flex:1}
+      .row{padding:6px 10px; border-bottom:1px solid #222; cursor:pointer}
+      .row:hover{background:#1b1b1b}
+      .row.linked{padding-left:24px}
+      .row.active{background:#2a2116}
+      .head{display:flex; gap:8px; align-items:center}
+      .status{color:#fff; border-radius:4px; padding:0 5px; font-size:10px; text-transform:uppercase}
+      .time{margin-left:auto; color:#888}
+      .params{color:#aaa; word-break:break-all; margin-top:2px}
+      .k{color:#8ab4f8}
+      .note{color:#ef9a9a}
+    </style>
+    <div class="panel" role="region" aria-label="dataLayer inspector">
+      <div class="bar">
+        <b>dataLayer</b>
+        <select class="filter" aria-label="Filter by event"><option value="">All events</option></select>
+        <button type="button" class="export">Export</button>
+        <button type="button" class="close" aria-label="Close">✕</button>
+      </div>
+      <div class="list"></div>
+    </div>
+  `;
+
+  const highlight = document.createElement("div");
+  highlight.style.cssText = "position:fixed; display:none; z-index:2147483645; pointer-events:none; border:2px solid #e53935; border-radius:6px; background:rgba(229,57,53,0.08)";
+  root.appendChild(highlight);
+
+  inspector = {
+    host,
+    highlight,
+    list: root.querySelector(".list"),
+    filter: root.querySelector(".filter"),
+    rows: new Map(),
+    eventNames: new Set()
+  };
+
+  inspector.filter.addEventListener("change", applyInspectorFilter);
+  root.querySelector(".export").addEventListener("click", exportInspectorSession);
+  root.querySelector(".close").addEventListener("click", closeInspector);
+
+  document.body.appendChild(host);
+  dataLayerLog.forEach(addInspectorEntry);
+}
+
+function closeInspector() {
+  if (!inspector) return;
+  inspector.host.style.display = "none";
+  inspector.highlight.style.display = "none";
+}
+
+function toggleInspector() {
+  if (inspector && inspector.host.style.display !== "none") closeInspector();
+  else openInspector();
+}
+
+pushListeners.push(addInspectorEntry);
+
+document.addEventListener("keydown", function (e) {
+  if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === "d") {
+    e.preventDefault();
+    toggleInspector();
+  }
+});
+
+if (new URLSearchParams(window.location.search).get("au_debug") === "1") {
+  openInspector();
+}
+
+window.auInspector = {
+  open: openInspector,
+  close: closeInspector,
+  toggle: toggleInspector,
+  export: exportInspectorSession
+};
+
+// Gamla namnet finns kvar, men öppnar nu inspektören
+window.showDataLayerHistory = openInspector;
\ No newline at end of file
@@ -0,0 +1,53 @@
+/**
+ * dev/catalog.js
+ * Refreshes size and sha256 in downloads/catalog.json from the files on disk (no dependencies).
+ *
+ * Run after replacing a file in downloads/ (and bump "version" by hand):
+ *   node dev/catalog.js [--check]
+ *
+ * Entries whose file is missing get size/sha256 null, which the download page
+ * shows as "not available". --check only reports and exits 1 if anything is stale.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const CATALOG = path.join(ROOT, "downloads", "catalog.json");
+const GATES = ["password", "email", "open"];
+
+const checkOnly = process.argv.includes("--check");
+const catalog = JSON.parse(fs.readFileSync(CATALOG, "utf8"));
+let stale = 0;
+
+Object.entries(catalog.assets).forEach(([id, asset]) => {
+  if (!GATES.includes(asset.gate)) {
+    console.error(`✗ ${id}: gate must be one of ${GATES.join(", ")}`);
+    stale++;
+  }
+
+  const file = path.join(ROOT, asset.file);
+  let size = null;
+  let sha256 = null;
+  if (fs.existsSync(file)) {
+    const data = fs.readFileSync(file);
+    size = data.length;
+    sha256 = crypto.createHash("sha256").update(data).digest("hex");
+  } else {
+    console.warn(`! ${id}: ${asset.file} does not exist`);
+  }
+
+  if (asset.size !== size || asset.sha256 !== sha256) {
+    console.log(`${checkOnly ? "✗ stale" : "✓ updated"} ${id}: ${size ?? "missing"} bytes`);
+    asset.size = size;
+    asset.sha256 = sha256;
+    stale++;
+  }
+});
+
+if (checkOnly) {
+  process.exit(stale ? 1 : 0);
+} else {
+  fs.writeFileSync(CATALOG, `${JSON.stringify(catalog, null, 2)}\n`);
+}
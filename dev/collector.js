@@ -0,0 +1,210 @@
+/**
+ * dev/collector.js
+ * Tiny local collector for the data-layer.js transport (no dependencies).
+ *
+ * - Serves the site from the repo root, so the endpoint is first-party
+ * - POST /collect  -> stores the batch in memory and logs one line per event
+ * - GET  /collect  -> returns everything received so far as JSON
+ * - DELETE /collect -> clears the received batches
+ * - POST /leads    -> stand-in lead sink for leads.js (deduplicated on idempotency key)
+ * - GET  /leads    -> returns the stored leads as JSON
+ * - DELETE /leads  -> clears the stored leads
+ *
+ * Usage:
+ *   node dev/collector.js [--port 8787] [--fail-rate 0.5] [--lead-fail-rate 0.5]
+ *
+ * Then open http://localhost:8787/index.html and run in the console:
+ *   auTransport.configure({ endpoint: "/collect" })
+ *
+ * Pages are served with leads.js pointed at the webhook sink on /leads instead
+ * of Apps Script, so growth-tech.html → unlock → lead form → download works
+ * without network.
+ *
+ * --fail-rate / --lead-fail-rate answer that share of POSTs with 503, to
+ * exercise the localStorage outbox / lead queue and their retry backoff.
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(arg("port", process.env.PORT || 8787));
+const FAIL_RATE = Number(arg("fail-rate", 0));
+const LEAD_FAIL_RATE = Number(arg("lead-fail-rate", 0));
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".png": "image/png",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip"
+};
+
+const batches = [];
+const leads = new Map(); // idempotency_key -> lead
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": MIME[".json"], "Cache-Control": "no-store" });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+async function handleCollect(req, res) {
+  if (req.method === "GET") return sendJson(res, 200, batches);
+
+  if (req.method === "DELETE") {
+    batches.length = 0;
+    res.writeHead(204);
+    return res.end();
+  }
+
+  if (req.method !== "POST") {
+    res.writeHead(405, { Allow: "GET, POST, DELETE" });
+    return res.end();
+  }
+
+  const body = await readBody(req);
+
+  if (Math.random() < FAIL_RATE) {
+    console.log(`✗ 503 (simulated) ${body.length} bytes`);
+    res.writeHead(503);
+    return res.end();
+  }
+
+  let batch;
+  try {
+    batch = JSON.parse(body);
+  } catch {
+    return sendJson(res, 400, { ok: false, error: "Body is not JSON" });
+  }
+
+  batches.push({ received_at: new Date().toISOString(), ...batch });
+
+  const events = Array.isArray(batch.events) ? batch.events : [];
+  console.log(`✓ batch ${batch.batch_id} attempt ${batch.attempt} (${events.length} events)`);
+  events.forEach((e) => console.log(`    ${e.event}  ${e.page_path || ""}`));
+
+  res.writeHead(204);
+  res.end();
+}
+
+async function handleLeads(req, res) {
+  if (req.method === "GET") return sendJson(res, 200, Array.from(leads.values()));
+
+  if (req.method === "DELETE") {
+    leads.clear();
+    res.writeHead(204);
+    return res.end();
+  }
+
+  if (req.method !== "POST") {
+    res.writeHead(405, { Allow: "GET, POST, DELETE" });
+    return res.end();
+  }
+
+  const body = await readBody(req);
+
+  if (Math.random() < LEAD_FAIL_RATE) {
+    console.log("✗ lead 503 (simulated)");
+    res.writeHead(503);
+    return res.end();
+  }
+
+  let lead;
+  try {
+    lead = JSON.parse(body);
+  } catch {
+    return sendJson(res, 400, { ok: false, error: "Body is not JSON" });
+  }
+
+  const key = req.headers["idempotency-key"] || lead.idempotency_key;
+  if (!key || !lead.email) {
+    return sendJson(res, 422, { ok: false, error: "idempotency_key and email are required" });
+  }
+
+  const duplicate = leads.has(key);
+  if (!duplicate) leads.set(key, { received_at: new Date().toISOString(), ...lead });
+  console.log(`${duplicate ? "↺ duplicate" : "✓"} lead ${key} (${lead.asset || "?"})`);
+
+  sendJson(res, duplicate ? 200 : 201, { ok: true, duplicate });
+}
+
+// Point leads.js at /leads instead of Apps Script
+function withLocalLeadSink(html) {
+  return html.replace(/<script src="leads\.js"[^>]*><\/script>/g,
+    '<script src="leads.js" data-lead-sink="webhook" data-lead-endpoint="/leads"></script>');
+}
+
+function serveStatic(req, res, pathname) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(pathname);
+  } catch {
+    res.writeHead(400);
+    return res.end("Bad request");
+  }
+  const file = path.join(ROOT, urlPath === "/" ? "index.html" : urlPath);
+
+  // Inside ROOT only (a plain startsWith would also let /root/tree-other through)
+  const rel = path.relative(ROOT, file);
+  if (rel.startsWith("..") || path.isAbsolute(rel)) {
+    res.writeHead(403);
+    return res.end();
+  }
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      return res.end("Not found");
+    }
+    const ext = path.extname(file);
+    res.writeHead(200, { "Content-Type": MIME[ext] || "application/octet-stream" });
+    res.end(ext === ".html" ? withLocalLeadSink(data.toString("utf8")) : data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  // Parsed once here; a malformed URL (e.g. "//[") is a 400, not a crash
+  let pathname;
+  try {
+    ({ pathname } = new URL(req.url, "http://localhost"));
+  } catch {
+    res.writeHead(400);
+    return res.end("Bad request");
+  }
+  if (pathname === "/collect") {
+    handleCollect(req, res).catch((err) => sendJson(res, 500, { ok: false, error: String(err) }));
+    return;
+  }
+  if (pathname === "/leads") {
+    handleLeads(req, res).catch((err) => sendJson(res, 500, { ok: false, error: String(err) }));
+    return;
+  }
+  serveStatic(req, res, pathname);
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Collector on http://localhost:${PORT}  (POST /collect, fail rate ${FAIL_RATE})`);
+    console.log(`Lead sink on http://localhost:${PORT}/leads  (fail rate ${LEAD_FAIL_RATE})`);
+  });
+}
+
+module.exports = { server, batches, leads };
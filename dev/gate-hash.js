@@ -0,0 +1,37 @@
+/**
+ * dev/gate-hash.js
+ * Generates a gate entry for gate.js from a password (no dependencies).
+ *
+ * gate.js only stores SHA-256(PBKDF2(password, salt)), never the password.
+ * The PBKDF2 output itself is the key that signs unlock tokens, so a token
+ * can only be made by someone who typed the right password.
+ *
+ * Usage:
+ *   node dev/gate-hash.js <gate-id> <password> [--iterations 150000]
+ *
+ * Paste the printed object into GATES in gate.js.
+ */
+
+const crypto = require("crypto");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+const [gateId, password] = process.argv.slice(2);
+if (!gateId || !password) {
+  console.error("usage: node dev/gate-hash.js <gate-id> <password> [--iterations 150000]");
+  process.exit(1);
+}
+
+const iterations = Number(arg("iterations", 150000));
+const salt = crypto.randomBytes(16);
+const key = crypto.pbkdf2Sync(password, salt, iterations, 32, "sha256");
+const hash = crypto.createHash("sha256").update(key).digest("hex");
+
+console.log(`  ${gateId}: {
+    salt: "${salt.toString("hex")}",
+    iterations: ${iterations},
+    hash: "${hash}"
+  },`);
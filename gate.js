@@ -0,0 +1,211 @@
+// =========================
+// Lösenordsgrind (growth-tech.html / growth-tech-downloads.html)
+// =========================
+// Sidan innehåller bara SHA-256(PBKDF2(lösenord, salt)), aldrig lösenorden.
+// PBKDF2-nyckeln används också för att signera (HMAC-SHA-256) en upplåsnings-
+// token med utgångstid, så en giltig token kräver att någon har skrivit rätt
+// lösenord. Nya poster skapas med: node dev/gate-hash.js <gate-id> <lösenord>
+//
+// Nedladdningssidan kontrollerar först att SHA-256(nyckeln) stämmer mot gate.hash
+// och sedan signaturen, innan något visas.
+//
+// Obs: allt körs i klienten. Nyckeln ligger bredvid token i sessionStorage så
+// att en annan sida kan verifiera den, och filerna bakom grinden är fortfarande
+// publika URL:er. Det skyddar lösenorden, inte filerna.
+
+const GATES = {
+  growthtech: {
+    salt: "36c911b62c7979f7f89e346b3a984c9e",
+    iterations: 150000,
+    hash: "f5bf86320a71c2dceedb893eb9d95aec2e6e23ebee9ed375a522655aa03512d9"
+  },
+  growthtech_leads: {
+    salt: "67bb4c96234ab5944c157377a839f4a3",
+    iterations: 150000,
+    hash: "7adbb429fbf38879b594a01c732059d11351158101938fdf92b398eda1def02b"
+  }
+};
+
+const GATE_TOKEN_PREFIX = "au_gate_";
+const GATE_TOKEN_TTL_MS = 30 * 60 * 1000;
+
+// Lokal rate limit: några försök fritt, sedan växande spärrtid
+const GATE_ATTEMPTS_KEY = "au_gate_attempts";
+const GATE_FREE_ATTEMPTS = 5;
+const GATE_LOCK_BASE_MS = 30 * 1000;
+const GATE_LOCK_MAX_MS = 15 * 60 * 1000;
+
+const gateEncoder = new TextEncoder();
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  return bytes;
+}
+
+function bytesToHex(buffer) {
+  return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function toBase64Url(str) {
+  return btoa(str).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  return atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+}
+
+// Jämför utan att avbryta vid första skillnaden
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function gateCryptoAvailable() {
+  return !!(window.crypto && window.crypto.subtle);
+}
+
+async function deriveGateKey(gate, password) {
+  const material = await crypto.subtle.importKey("raw", gateEncoder.encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: hexToBytes(gate.salt), iterations: gate.iterations },
+    material,
+    256
+  );
+  return bytesToHex(bits);
+}
+
+async function keyMatchesGate(gate, keyHex) {
+  const digest = await crypto.subtle.digest("SHA-256", hexToBytes(keyHex));
+  return safeEqual(bytesToHex(digest), gate.hash);
+}
+
+async function signGatePayload(keyHex, data) {
+  const key = await crypto.subtle.importKey("raw", hexToBytes(keyHex), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const sig = await crypto.subtle.sign("HMAC", key, gateEncoder.encode(data));
+  return toBase64Url(String.fromCharCode(...new Uint8Array(sig)));
+}
+
+// ---- rate limit ----
+function readGateAttempts() {
+  try {
+    return JSON.parse(localStorage.getItem(GATE_ATTEMPTS_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeGateAttempts(all) {
+  try {
+    localStorage.setItem(GATE_ATTEMPTS_KEY, JSON.stringify(all));
+  } catch {
+    // ignore
+  }
+}
+
+function gateLockRemaining(gateId) {
+  const entry = readGateAttempts()[gateId];
+  return entry && entry.locked_until ? Math.max(0, entry.locked_until - Date.now()) : 0;
+}
+
+function recordGateFailure(gateId) {
+  const all = readGateAttempts();
+  const entry = all[gateId] || { failures: 0, locked_until: 0 };
+  entry.failures += 1;
+
+  const over = entry.failures - GATE_FREE_ATTEMPTS;
+  entry.locked_until = over >= 0
+    ? Date.now() + Math.min(GATE_LOCK_BASE_MS * 2 ** over, GATE_LOCK_MAX_MS)
+    : 0;
+
+  all[gateId] = entry;
+  writeGateAttempts(all);
+  return entry;
+}
+
+function resetGateAttempts(gateId) {
+  const all = readGateAttempts();
+  delete all[gateId];
+  writeGateAttempts(all);
+}
+
+// ---- token ----
+// sessionStorage: { token: "<base64url(claims)>.<HMAC>", key: PBKDF2-nyckeln i hex }
+function readGateToken(gateId) {
+  try {
+    return JSON.parse(sessionStorage.getItem(GATE_TOKEN_PREFIX + gateId) || "null");
+  } catch {
+    return null;
+  }
+}
+
+async function issueGateToken(gateId, keyHex, ttlMs) {
+  const now = Date.now();
+  const body = toBase64Url(JSON.stringify({ gate: gateId, iat: now, exp: now + ttlMs }));
+  const token = `${body}.${await signGatePayload(keyHex, body)}`;
+  try {
+    sessionStorage.setItem(GATE_TOKEN_PREFIX + gateId, JSON.stringify({ token, key: keyHex }));
+  } catch {
+    // ignore
+  }
+  return token;
+}
+
+function clearGateToken(gateId) {
+  try {
+    sessionStorage.removeItem(GATE_TOKEN_PREFIX + gateId);
+  } catch {
+    // ignore
+  }
+}
+
+// Sann om det finns en token för grinden som är signerad med rätt nyckel och inte har gått ut
+async function verifyGateToken(gateId) {
+  const gate = GATES[gateId];
+  const stored = readGateToken(gateId);
+  if (!gate || !stored || typeof stored.token !== "string" || typeof stored.key !== "string") return false;
+  if (!gateCryptoAvailable()) return false;
+
+  try {
+    const [body, sig] = stored.token.split(".");
+    const claims = JSON.parse(fromBase64Url(body));
+    if (claims.gate !== gateId || !(claims.exp > Date.now())) return false;
+    if (!(await keyMatchesGate(gate, stored.key))) return false;
+    return safeEqual(await signGatePayload(stored.key, body), sig || "");
+  } catch {
+    return false;
+  }
+}
+
+// Resultat: { ok, attempt_count, locked, retry_in_ms }
+async function attemptGate(gateId, password, { issueToken = true, ttlMs = GATE_TOKEN_TTL_MS } = {}) {
+  const gate = GATES[gateId];
+  if (!gate) throw new Error(`Unknown gate "${gateId}"`);
+  if (!gateCryptoAvailable()) throw new Error("Web Crypto is not available (requires https)");
+
+  const lockedFor = gateLockRemaining(gateId);
+  if (lockedFor > 0) {
+    const entry = readGateAttempts()[gateId] || {};
+    return { ok: false, attempt_count: entry.failures || 0, locked: true, retry_in_ms: lockedFor };
+  }
+
+  const keyHex = await deriveGateKey(gate, String(password || ""));
+  if (!(await keyMatchesGate(gate, keyHex))) {
+    const entry = recordGateFailure(gateId);
+    const retryIn = Math.max(0, entry.locked_until - Date.now());
+    return { ok: false, attempt_count: entry.failures, locked: retryIn > 0, retry_in_ms: retryIn };
+  }
+
+  resetGateAttempts(gateId);
+  if (issueToken) await issueGateToken(gateId, keyHex, ttlMs);
+  return { ok: true, attempt_count: 0, locked: false, retry_in_ms: 0 };
+}
+
+window.auGate = {
+  attempt: attemptGate,
+  verify: verifyGateToken,
+  clear: clearGateToken,
+  lockRemaining: gateLockRemaining
+};
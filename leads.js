@@ -0,0 +1,321 @@
+// =========================
+// Lead-inskick (growth-tech-downloads.html)
+// =========================
+// Varje inskick har en idempotency_key som följer med till mottagaren. Misslyckade
+// inskick läggs i en kö i localStorage och försöks igen i bakgrunden med backoff
+// (även vid nästa sidladdning och när webbläsaren kommer online igen).
+//
+// Bara en mottagare som tar bort dubbletter på nyckeln (webhook, dev/collector.js)
+// får nya försök efter ett oklart fel (nätverksfel eller timeout efter att
+// anropet gått iväg). Apps Script-arket gör inte det, så där blir ett oklart fel
+// "unconfirmed": inget nytt försök, och besökaren får veta att leadet kanske inte
+// kom fram. Tydliga fel (5xx, 429, offline) försöks igen för alla sinks.
+//
+// Vart leadet skickas bestäms av en sink (adapter), vald via script-taggen:
+//   <script src="leads.js" data-lead-sink="apps_script"></script>
+//   <script src="leads.js" data-lead-sink="webhook" data-lead-endpoint="https://…"
+//           data-lead-headers='{"X-Source":"site"}'
+//           data-lead-fields='{"email":"contact_email","userAgent":null}'></script>
+//   <script src="leads.js" data-lead-sink="local" data-lead-store="indexeddb"></script>
+// eller window.auLeads.configure({ sink: "webhook", endpoint: "/leads" }).
+// Lokalt (localhost) går det även med ?lead_sink=local eller
+// ?lead_sink=webhook&lead_endpoint=/leads. Lokal stand-in: node dev/collector.js
+
+const LEAD_QUEUE_KEY = "au_lead_queue";
+const LEAD_CLAIMED_KEY = "au_lead_claimed";
+const LEAD_OVERRIDE_KEY = "au_lead_sink";
+const LEAD_QUEUE_MAX = 20;
+const LEAD_MAX_ATTEMPTS = 10;
+const LEAD_RETRY_BASE_MS = 5 * 1000;
+const LEAD_RETRY_MAX_MS = 10 * 60 * 1000;
+const LEAD_TIMEOUT_MS = 10 * 1000;
+
+const leadConfig = {
+  sink: "apps_script",
+  endpoint: "",
+  headers: {},
+  fields: {}, // webhook: { källfält: "målfält" | null (skickas inte) }
+  store: "localstorage" // local: "localstorage" | "indexeddb"
+};
+
+(function readLeadScriptConfig() {
+  const script = document.currentScript;
+  if (script) {
+    leadConfig.sink = script.getAttribute("data-lead-sink") || leadConfig.sink;
+    leadConfig.endpoint = script.getAttribute("data-lead-endpoint") || "";
+    leadConfig.store = script.getAttribute("data-lead-store") || leadConfig.store;
+    ["headers", "fields"].forEach(name => {
+      try {
+        Object.assign(leadConfig[name], JSON.parse(script.getAttribute(`data-lead-${name}`) || "{}"));
+      } catch {
+        console.warn(`data-lead-${name} is not valid JSON`);
+      }
+    });
+  }
+
+  // Utvecklingsöverstyrning, bara lokalt så ingen kan leda om riktiga leads via en länk
+  if (!["localhost", "127.0.0.1"].includes(window.location.hostname)) return;
+  try {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("lead_sink")) {
+      sessionStorage.setItem(LEAD_OVERRIDE_KEY, JSON.stringify({
+        sink: params.get("lead_sink"),
+        endpoint: params.get("lead_endpoint") || ""
+      }));
+    }
+    const override = JSON.parse(sessionStorage.getItem(LEAD_OVERRIDE_KEY) || "null");
+    if (override) Object.assign(leadConfig, override);
+  } catch {
+    // ignore
+  }
+})();
+
+// ---- sinks ----
+// Varje sink: send(entry) -> "saved" | "retry" | "unconfirmed" | "failed"
+// entry = { key, payload, attempts, created_at, next_attempt_at }
+
+function leadBody(entry) {
+  return { ...entry.payload, idempotency_key: entry.key };
+}
+
+// 5xx och 429 går att försöka igen; övriga 4xx gör det inte. Offline har anropet
+// aldrig gått iväg, så det försöks också igen.
+// onAmbiguous: nätverksfel/timeout när anropet kan ha kommit fram ("retry" kräver
+// att mottagaren tar bort dubbletter, annars "unconfirmed")
+async function postLead(url, init, { onAmbiguous = "retry" } = {}) {
+  const controller = window.AbortController ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), LEAD_TIMEOUT_MS) : null;
+
+  try {
+    const res = await fetch(url, { method: "POST", ...init, signal: controller ? controller.signal : undefined });
+    if (res.ok) return "saved";
+    return res.status >= 500 || res.status === 429 ? "retry" : "failed";
+  } catch {
+    return navigator.onLine === false ? "retry" : onAmbiguous;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+function mapLeadFields(body, fields) {
+  const out = {};
+  Object.keys(body).forEach(key => {
+    const target = key in fields ? fields[key] : key;
+    if (target) out[target] = body[key];
+  });
+  return out;
+}
+
+function openLeadDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open("au_leads", 1);
+    req.onupgradeneeded = () => req.result.createObjectStore("leads", { keyPath: "idempotency_key" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+const LEAD_SINKS = {
+  // Google Apps Script (arket). text/plain undviker CORS-preflight. Skriptet
+  // tar inte bort dubbletter på idempotency_key, så oklara fel skickas inte om.
+  apps_script: {
+    defaultEndpoint: "https://script.google.com/macros/s/AKfycbzDww456IiMHQ7-UH2kIqUNmUU6F2Qq90FhU8aOfifrRIESnz78BnrIIsKOWRC4KfHP0A/exec",
+    send(entry, config) {
+      return postLead(config.endpoint || this.defaultEndpoint, {
+        headers: { "Content-Type": "text/plain;charset=utf-8" },
+        body: JSON.stringify(leadBody(entry))
+      }, { onAmbiguous: "unconfirmed" });
+    }
+  },
+
+  // Valfri JSON-endpoint. Idempotency-Key skickas även som header.
+  webhook: {
+    send(entry, config) {
+      if (!config.endpoint) return Promise.resolve("failed");
+      return postLead(config.endpoint, {
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": entry.key,
+          ...config.headers
+        },
+        body: JSON.stringify(mapLeadFields(leadBody(entry), config.fields))
+      });
+    }
+  },
+
+  // Utveckling: sparar i webbläsaren, nyckeln gör upprepade inskick till en uppdatering
+  local: {
+    async send(entry, config) {
+      const body = { ...leadBody(entry), stored_at: new Date().toISOString() };
+
+      if (config.store === "indexeddb" && window.indexedDB) {
+        const db = await openLeadDb();
+        await new Promise((resolve, reject) => {
+          const tx = db.transaction("leads", "readwrite");
+          tx.objectStore("leads").put(body);
+          tx.oncomplete = resolve;
+          tx.onerror = () => reject(tx.error);
+        });
+        db.close();
+      } else {
+        const leads = readLeadList("au_dev_leads").filter(item => item.idempotency_key !== entry.key);
+        leads.push(body);
+        writeLeadList("au_dev_leads", leads);
+      }
+
+      console.log("📨 lead saved locally:", body);
+      return "saved";
+    }
+  }
+};
+
+let leadRetryTimer = null;
+let leadFlushing = false;
+const leadListeners = [];
+
+function readLeadList(key) {
+  try {
+    const list = JSON.parse(localStorage.getItem(key) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeLeadList(key, list) {
+  try {
+    localStorage.setItem(key, JSON.stringify(list));
+  } catch {
+    // ignore
+  }
+}
+
+function newLeadKey() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return `lead_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function leadBackoff(attempts) {
+  return Math.min(LEAD_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), LEAD_RETRY_MAX_MS);
+}
+
+function notifyLead(status, entry) {
+  leadListeners.forEach(fn => {
+    try {
+      fn(status, entry);
+    } catch {
+      // en trasig lyssnare ska inte stoppa kön
+    }
+  });
+}
+
+async function sendLead(entry) {
+  const sink = LEAD_SINKS[leadConfig.sink];
+  if (!sink) {
+    console.warn(`Unknown lead sink "${leadConfig.sink}"`);
+    return "failed";
+  }
+  try {
+    return await sink.send(entry, leadConfig);
+  } catch {
+    return "retry";
+  }
+}
+
+function queueLead(entry) {
+  const queue = readLeadList(LEAD_QUEUE_KEY).filter(item => item.key !== entry.key);
+  queue.push(entry);
+  writeLeadList(LEAD_QUEUE_KEY, queue.slice(-LEAD_QUEUE_MAX));
+  scheduleLeadRetry();
+}
+
+function removeQueuedLead(key) {
+  writeLeadList(LEAD_QUEUE_KEY, readLeadList(LEAD_QUEUE_KEY).filter(item => item.key !== key));
+}
+
+function scheduleLeadRetry() {
+  if (leadRetryTimer) return;
+  const queue = readLeadList(LEAD_QUEUE_KEY);
+  if (!queue.length) return;
+
+  const next = Math.min(...queue.map(item => item.next_attempt_at || 0));
+  leadRetryTimer = setTimeout(() => {
+    leadRetryTimer = null;
+    flushLeadQueue();
+  }, Math.max(0, next - Date.now()));
+}
+
+async function flushLeadQueue({ force = false } = {}) {
+  if (leadFlushing) return;
+  leadFlushing = true;
+
+  try {
+    const due = readLeadList(LEAD_QUEUE_KEY).filter(item => force || (item.next_attempt_at || 0) <= Date.now());
+
+    for (const entry of due) {
+      entry.attempts += 1;
+      const result = await sendLead(entry);
+
+      if (result === "saved" || result === "unconfirmed") {
+        removeQueuedLead(entry.key);
+        notifyLead(result, entry);
+      } else if (result === "failed" || entry.attempts >= LEAD_MAX_ATTEMPTS) {
+        removeQueuedLead(entry.key);
+        notifyLead("failed", entry);
+      } else {
+        entry.next_attempt_at = Date.now() + leadBackoff(entry.attempts);
+        queueLead(entry);
+      }
+    }
+  } finally {
+    leadFlushing = false;
+    scheduleLeadRetry();
+  }
+}
+
+// Resultat: { status: "saved" | "queued" | "unconfirmed" | "failed", key }
+async function submitLead(payload, key = newLeadKey()) {
+  const entry = { key, payload, attempts: 1, created_at: Date.now(), next_attempt_at: 0 };
+  const result = await sendLead(entry);
+
+  if (result === "retry") {
+    entry.next_attempt_at = Date.now() + leadBackoff(entry.attempts);
+    queueLead(entry);
+    return { status: "queued", key };
+  }
+
+  removeQueuedLead(key);
+  return { status: result, key };
+}
+
+// Sann första gången en nyckel gör anspråk (t.ex. för att bara spåra lead_submit en gång)
+function claimLeadKey(key) {
+  const claimed = readLeadList(LEAD_CLAIMED_KEY);
+  if (claimed.includes(key)) return false;
+  claimed.push(key);
+  writeLeadList(LEAD_CLAIMED_KEY, claimed.slice(-50));
+  return true;
+}
+
+window.addEventListener("online", () => flushLeadQueue({ force: true }));
+scheduleLeadRetry();
+
+window.auLeads = {
+  configure(options = {}) {
+    ["sink", "endpoint", "store"].forEach(name => {
+      if (name in options) leadConfig[name] = options[name];
+    });
+    if (options.headers) leadConfig.headers = { ...options.headers };
+    if (options.fields) leadConfig.fields = { ...options.fields };
+    return { ...leadConfig };
+  },
+  sinks: LEAD_SINKS,
+  submit: submitLead,
+  newKey: newLeadKey,
+  claim: claimLeadKey,
+  flush: () => flushLeadQueue({ force: true }),
+  pending: () => readLeadList(LEAD_QUEUE_KEY).length,
+  onChange(fn) {
+    leadListeners.push(fn);
+  }
+};
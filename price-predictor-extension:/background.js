@@ -5,8 +5,14 @@
  * Fix: /estimate needs parameters depending on unit type.
  * For Weight factors use: { weight, weight_unit }  (NOT amount/unit)
  * Docs: Climatiq Parameters (Weight) + Estimate endpoint.
+ *
+ * Also: periodic price re-checks of tracked products + target-price notifications
+ * (see PRICE RE-CHECKS below).
  */
 
+importScripts("price-utils.js");
+const { formatPrice, productUrl, originPattern } = PriceUtils;
+
 const CLIMATIQ_KEY = "V63K2AG9FD0Z7C4XK1HH13ZYX0";
 
 async function climatiqSearch(query) {
@@ -107,12 +113,10 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   return true;
 });
 // =====================
-// ALARM (10s) + NOTIFICATION
+// NOTIFICATIONS
 // =====================
-const NOTIF_ALARM_NAME = "price_co2_followup_alarm";
-
-function showNotification(title, message) {
-  chrome.notifications.create({
+function showNotification(title, message, id = "") {
+  chrome.notifications.create(id, {
     type: "basic",
     iconUrl: "icons/icon128.png",
     title: title || "Price Predictor",
@@ -121,28 +125,235 @@ function showNotification(title, message) {
   });
 }
 
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg?.type !== "SCHEDULE_NOTIFICATION") return;
+// =====================
+// PRICE RE-CHECKS (alarms + offscreen parsing)
+// =====================
+// Every product in PRICE_HISTORY_BY_PRODUCT is re-fetched on an alarm, parsed with
+// price-extract.js in offscreen.html (same logic as the widget) and gets a new point.
+// A notification fires when the price is at or below the target set in the widget.
+//
+// Site access is requested per site at runtime (optional_host_permissions): "Track this
+// page" in the popup, or "Allow background checks" on the watchlist. Products on sites
+// without access are skipped and marked needsAccess in RECHECK_STATE.
+//
+// Testing: node dev/fixture-server.js, track a fixture product, then
+//   chrome.storage.local.set({ RECHECK_SETTINGS: { periodMinutes: 1 } })
+// or press "Check tracked prices now" in the popup (RECHECK_NOW).
+const RECHECK_ALARM_NAME = "price_recheck_alarm";
+const RECHECK_DEFAULT_MINUTES = 6 * 60;
+const RECHECK_SETTINGS_KEY = "RECHECK_SETTINGS"; // { periodMinutes }
+// { lastRunAt, products: { [productId]: { checkedAt, ok, error, selectorMissed, needsAccess } } }
+// selectorMissed = the site's saved Select-mode selector found no price on the page
+const RECHECK_STATE_KEY = "RECHECK_STATE";
+const PRICE_HISTORY_KEY = "PRICE_HISTORY_BY_PRODUCT";
+const TARGET_PRICE_KEY = "TARGET_PRICE_BY_PRODUCT";
+const PRODUCT_INFO_KEY = "PRODUCT_INFO_BY_PRODUCT";
+const SITE_SELECTOR_KEY = "PRICE_SELECTOR_BY_SITE"; // Select-mode selector per site (content.js)
+const PRICE_DROP_PREFIX = "price_drop:";
+
+async function getLocal(key) {
+  const obj = await chrome.storage.local.get(key);
+  return obj[key];
+}
+async function setLocal(key, value) {
+  await chrome.storage.local.set({ [key]: value });
+}
 
-  const delaySeconds = Number(msg.delaySeconds ?? 10);
+async function ensureRecheckAlarm() {
+  const settings = (await getLocal(RECHECK_SETTINGS_KEY)) || {};
+  const periodInMinutes = Math.max(0.5, Number(settings.periodMinutes) || RECHECK_DEFAULT_MINUTES);
 
-  chrome.storage.local.set({
-    NOTIF_PAYLOAD: {
-      title: msg.title || "Price Predictor",
-      message: msg.message || "10 sek har gått — kolla pris & CO₂ igen 👀"
-    }
+  const existing = await chrome.alarms.get(RECHECK_ALARM_NAME);
+  if (existing && existing.periodInMinutes === periodInMinutes) return;
+
+  await chrome.alarms.create(RECHECK_ALARM_NAME, { delayInMinutes: periodInMinutes, periodInMinutes });
+}
+
+let creatingOffscreen = null;
+
+async function ensureOffscreen() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ["OFFSCREEN_DOCUMENT"] });
+  if (contexts.length) return;
+
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: "offscreen.html",
+      reasons: ["DOM_PARSER"],
+      justification: "Parse fetched product pages to re-check tracked prices."
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+async function closeOffscreen() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ["OFFSCREEN_DOCUMENT"] });
+  if (contexts.length) await chrome.offscreen.closeDocument();
+}
+
+async function hasSiteAccess(url) {
+  const origin = originPattern(url);
+  return Boolean(origin) && chrome.permissions.contains({ origins: [origin] });
+}
+
+async function fetchPrice(url, selector = null) {
+  const res = await fetch(url, { credentials: "omit", cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const html = await res.text();
+
+  await ensureOffscreen();
+  const resp = await chrome.runtime.sendMessage({ target: "offscreen", type: "EXTRACT_PRICE", html, url, selector });
+  if (!resp?.ok) {
+    const err = new Error(resp?.error || "No price found on page.");
+    err.selectorMissed = Boolean(resp?.selectorMissed);
+    throw err;
+  }
+  return resp.price;
+}
+
+// Same shape + dedupe as savePricePoint in content.js. Re-reads storage so a point
+// the user saved in the widget meanwhile isn't overwritten.
+async function appendPricePoint(productId, price, url) {
+  const all = (await getLocal(PRICE_HISTORY_KEY)) || {};
+  const history = Array.isArray(all[productId]) ? all[productId] : [];
+
+  const last = history[history.length - 1];
+  if (last && last.value === price.value && (Date.now() - last.timestamp) < 60_000) return;
+
+  history.push({
+    value: price.value,
+    currency: price.currency,
+    timestamp: Date.now(),
+    url,
+    productId,
+    source: price.source || "",
+    trigger: "recheck"
   });
 
-  // ✅ 10 sek med "when" (ms)
-  chrome.alarms.create(NOTIF_ALARM_NAME, { when: Date.now() + delaySeconds * 1000 });
+  all[productId] = history.slice(-200);
+  await setLocal(PRICE_HISTORY_KEY, all);
+}
+
+// Retailer adapters also report SKU / availability (shown on the watchlist)
+async function updateProductInfo(productId, product) {
+  if (!product) return;
+  const all = (await getLocal(PRODUCT_INFO_KEY)) || {};
+  const info = all[productId] || {};
+  all[productId] = {
+    ...info,
+    title: info.title || product.title || "",
+    sku: product.sku || info.sku || "",
+    availability: product.availability || info.availability || ""
+  };
+  await setLocal(PRODUCT_INFO_KEY, all);
+}
 
-  sendResponse({ ok: true, scheduledFor: Date.now() + delaySeconds * 1000 });
+// One notification per drop: again only if it falls further, or after it has been above target
+async function checkTargetPrice(productId, price) {
+  const targets = (await getLocal(TARGET_PRICE_KEY)) || {};
+  const target = targets[productId];
+  if (!target || target.currency !== price.currency) return false;
+
+  if (price.value > target.value) {
+    if (target.notifiedValue != null) {
+      target.notifiedValue = null;
+      await setLocal(TARGET_PRICE_KEY, targets);
+    }
+    return false;
+  }
+
+  if (target.notifiedValue != null && price.value >= target.notifiedValue) return false;
+
+  target.notifiedValue = price.value;
+  await setLocal(TARGET_PRICE_KEY, targets);
+
+  const host = productId.split("|")[0];
+  showNotification(
+    "Price drop 📉",
+    `${host}: now ${formatPrice(price.value, price.currency)} (your target ${formatPrice(target.value, target.currency)})`,
+    PRICE_DROP_PREFIX + productId
+  );
   return true;
+}
+
+let recheckRunning = null;
+
+async function recheckAllProducts() {
+  const all = (await getLocal(PRICE_HISTORY_KEY)) || {};
+  const selectors = (await getLocal(SITE_SELECTOR_KEY)) || {};
+  const state = { lastRunAt: Date.now(), products: {} };
+  let failed = 0;
+  let notified = 0;
+  let needsAccess = 0;
+
+  try {
+    for (const [productId, history] of Object.entries(all)) {
+      const last = Array.isArray(history) ? history[history.length - 1] : null;
+      const url = last?.url || productUrl(productId);
+
+      if (!(await hasSiteAccess(url))) {
+        needsAccess++;
+        state.products[productId] = { checkedAt: Date.now(), ok: false, error: "No access to this site", needsAccess: true };
+        continue;
+      }
+
+      try {
+        const price = await fetchPrice(url, selectors[productId.split("|")[0]]?.selector);
+        await appendPricePoint(productId, price, url);
+        await updateProductInfo(productId, price.product);
+        if (await checkTargetPrice(productId, price)) notified++;
+        state.products[productId] = {
+          checkedAt: Date.now(), ok: true, value: price.value, currency: price.currency, selectorMissed: Boolean(price.selectorMissed)
+        };
+      } catch (e) {
+        failed++;
+        state.products[productId] = {
+          checkedAt: Date.now(), ok: false, error: String(e?.message || e), selectorMissed: Boolean(e?.selectorMissed)
+        };
+      }
+    }
+  } finally {
+    await setLocal(RECHECK_STATE_KEY, state);
+    await closeOffscreen().catch(() => {});
+  }
+
+  return { checked: Object.keys(state.products).length - needsAccess, failed, notified, needsAccess };
+}
+
+// Alarm + button at the same time -> one run
+function runRecheck() {
+  if (!recheckRunning) {
+    recheckRunning = recheckAllProducts().finally(() => {
+      recheckRunning = null;
+    });
+  }
+  return recheckRunning;
+}
+
+chrome.runtime.onInstalled.addListener(ensureRecheckAlarm);
+chrome.runtime.onStartup.addListener(ensureRecheckAlarm);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[RECHECK_SETTINGS_KEY]) ensureRecheckAlarm();
 });
 
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name !== NOTIF_ALARM_NAME) return;
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RECHECK_ALARM_NAME) runRecheck();
+});
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.type !== "RECHECK_NOW") return;
+
+  runRecheck()
+    .then((result) => sendResponse({ ok: true, result }))
+    .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+
+  return true;
+});
 
-  const { NOTIF_PAYLOAD } = await chrome.storage.local.get("NOTIF_PAYLOAD");
-  showNotification(NOTIF_PAYLOAD?.title, NOTIF_PAYLOAD?.message);
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(PRICE_DROP_PREFIX)) return;
+  chrome.tabs.create({ url: productUrl(notificationId.slice(PRICE_DROP_PREFIX.length)) });
+  chrome.notifications.clear(notificationId);
 });
@@ -2,8 +2,8 @@
   // =====================================================
   // content.js (WIDGET + POPUP HANDLERS)
   // - Widget: floating button + draggable panel
-  // - Popup support: PING, TRACK_PRICE_AUTO, SELECT_PRICE_MODE, OPEN_WIDGET
-  // - Storage: PRICE_HISTORY_BY_PRODUCT, LAST_PRODUCT_SNAPSHOT
+  // - Popup support: PING, GET_SUMMARY, TRACK_PRICE_AUTO, SELECT_PRICE_MODE, OPEN_WIDGET
+  // - Storage: PRICE_HISTORY_BY_PRODUCT, LAST_PRODUCT_SNAPSHOT, PRICE_SELECTOR_BY_SITE
   //
   // FIXES:
   // 1) Current = LIVE extracted price (not history)
@@ -13,6 +13,7 @@
   //    - Filter Klarna/monthly, shipping, totals
   //    - Ignore header/footer/nav/aside/dialog areas
   //    - Meta/JSON-LD only fallback, and DOM wins if mismatch
+  //    (extraction itself lives in price-extract.js, shared with background re-checks)
   // =====================================================
 
   if (window.__PRICE_CO2_WIDGET__) return;
@@ -29,14 +30,7 @@
     await chrome.storage.local.set({ [key]: value });
   }
 
-  function formatPrice(value, currency = "SEK") {
-    if (typeof value !== "number" || !Number.isFinite(value)) return "—";
-    try {
-      return new Intl.NumberFormat("sv-SE", { style: "currency", currency }).format(value);
-    } catch {
-      return `${value} ${currency}`;
-    }
-  }
+  const { formatPrice, computeSignal, pctChange } = PriceUtils; // price-utils.js
 
   function fmtKg(num) {
     if (typeof num !== "number" || !Number.isFinite(num)) return "—";
@@ -73,347 +67,91 @@
   }
 
   // =========================
-  // PRICE extraction (robust)
+  // PRICE extraction (robust) -> price-extract.js
   // =========================
-  function normalizeCurrency(symbol) {
-    const s = String(symbol || "").toLowerCase();
-    if (s.includes("kr") || s.includes("sek")) return "SEK";
-    if (s.includes("€")) return "EUR";
-    if (s.includes("$")) return "USD";
-    return "SEK";
-  }
-
-  const BAD_CONTEXT_RE =
-    /(\/\s*mån|kr\s*\/\s*mån|per\s*month|\/\s*month|\bmån\b|\bmonth\b|klarna|delbetal|installment|finansier|frakt|shipping|delivery|leverans|porto|avgift|fee|total|summa|subtotal|moms|inkl\.?\s*moms|vat)/i;
-
-  const SALE_CONTEXT_RE =
-    /(-\s?\d{1,3}\s?%|\brea\b|\bsale\b|\bord\.?\b|\bwas\b|\bbefore\b|kampanj|nedsatt|sänkt|nu\s*pris|outlet)/i;
+  // Same code runs for background re-checks (offscreen.js), so it lives in its own file.
 
   // In-memory debug (not persisted)
   let __LAST_PRICE_SOURCE__ = "";
+  let __SELECTOR_MISSED__ = false;
   function setLastPriceSource(s) {
     __LAST_PRICE_SOURCE__ = String(s || "").slice(0, 160);
   }
 
-  function extractPriceFromText(text) {
-    if (!text) return null;
-    const str = String(text);
-
-    const matches = [...str.matchAll(/(\d{1,6}(?:[.,]\d{2})?)\s?(kr|sek|€|\$)/ig)];
-    if (!matches.length) return null;
-
-    function ctxAround(index, span = 40) {
-      const start = Math.max(0, index - span);
-      const end = Math.min(str.length, index + span);
-      return str.slice(start, end).toLowerCase();
-    }
+  // Title/SKU/availability from a retailer adapter, for the product it was read on
+  let __LAST_PRODUCT__ = null;
 
-    const parsed = matches
-      .map((m) => {
-        const value = parseFloat(String(m[1]).replace(",", "."));
-        if (!Number.isFinite(value)) return null;
+  // Selector picked in Select mode, per site: { [host]: { selector, value, currency, savedAt } }
+  // Tried first on every page of that site (also by background re-checks).
+  const SITE_SELECTOR_KEY = "PRICE_SELECTOR_BY_SITE";
+  let siteSelector = null;
 
-        const currency = normalizeCurrency(m[2]);
-        const idx = typeof m.index === "number" ? m.index : str.indexOf(m[0]);
-        const ctx = ctxAround(idx);
-
-        return { value, currency, idx, ctx };
-      })
-      .filter(Boolean);
-
-    const filtered = parsed.filter((p) => !BAD_CONTEXT_RE.test(p.ctx));
-    const candidates = filtered.length ? filtered : parsed;
-    if (!candidates.length) return null;
-
-    const saleContext = SALE_CONTEXT_RE.test(str);
-
-    // if sale context: pick lowest (current price usually lower)
-    if (saleContext && candidates.length >= 2) {
-      const min = candidates.reduce((a, b) => (b.value < a.value ? b : a));
-      return { value: min.value, currency: min.currency };
-    }
-
-    // otherwise pick earliest plausible
-    const first = candidates.slice().sort((a, b) => a.idx - b.idx)[0];
-    return { value: first.value, currency: first.currency };
+  function siteHost() {
+    return location.hostname.replace(/^www\./, "");
   }
 
-  function isVisible(el) {
-    if (!(el instanceof Element)) return false;
-    const style = window.getComputedStyle(el);
-    if (style.display === "none" || style.visibility === "hidden" || style.opacity === "0") return false;
-    const rect = el.getBoundingClientRect();
-    return rect.width > 0 && rect.height > 0;
+  async function loadSiteSelector() {
+    const all = (await getLocal(SITE_SELECTOR_KEY)) || {};
+    siteSelector = all[siteHost()]?.selector || null;
   }
 
-  function textFromNode(el) {
-    if (!el) return "";
-    return (el.innerText || el.textContent || "").trim();
+  async function saveSiteSelector(selector, price) {
+    const all = (await getLocal(SITE_SELECTOR_KEY)) || {};
+    all[siteHost()] = { selector, value: price.value, currency: price.currency, savedAt: Date.now() };
+    await setLocal(SITE_SELECTOR_KEY, all);
+    siteSelector = selector;
   }
 
-  function inBannedContainer(el) {
-    // Avoid areas that frequently contain irrelevant prices
-    return Boolean(
-      el.closest("header, footer, nav, aside, dialog, [role='dialog'], [aria-modal='true']")
-    );
-  }
-
-  function getTitleAnchor() {
-    // Try to find the product title (anchor point)
-    const candidates = [
-      document.querySelector("main h1"),
-      document.querySelector("[data-testid*='product'] h1"),
-      document.querySelector("[data-testid*='product-name']"),
-      document.querySelector("h1")
-    ].filter(Boolean);
-
-    const titleEl = candidates.find((el) => el && isVisible(el)) || null;
-    return titleEl;
-  }
-
-  function distanceScore(el, anchorEl) {
-    // Higher is better
-    try {
-      if (!anchorEl) return 0;
-
-      const a = anchorEl.getBoundingClientRect();
-      const r = el.getBoundingClientRect();
-
-      const ax = a.left + a.width / 2;
-      const ay = a.top + a.height / 2;
-      const rx = r.left + r.width / 2;
-      const ry = r.top + r.height / 2;
-
-      const dx = rx - ax;
-      const dy = ry - ay;
-
-      const dist = Math.sqrt(dx * dx + dy * dy);
-
-      // Strong reward when close to title (within ~500px)
-      // Convert to score: 0..6
-      const s = Math.max(0, 6 - dist / 120);
-      return s;
-    } catch {
-      return 0;
-    }
-  }
-
-  function fontSizeScore(el) {
-    // Bigger font often indicates primary price
-    try {
-      const fs = parseFloat(window.getComputedStyle(el).fontSize || "0");
-      if (!Number.isFinite(fs)) return 0;
-      // 12px => ~0, 24px => ~2, 36px => ~3.5
-      return Math.min(3.5, Math.max(0, (fs - 12) / 7));
-    } catch {
-      return 0;
-    }
-  }
-
-  function tryExtractFromMetaAndLdJson() {
-    // Meta price
-    const metaSelectors = [
-      'meta[property="product:price:amount"]',
-      'meta[property="og:price:amount"]',
-      'meta[itemprop="price"]'
-    ];
-
-    for (const sel of metaSelectors) {
-      const node = document.querySelector(sel);
-      if (!node) continue;
-      const content = node.getAttribute("content") || "";
-      const p = extractPriceFromText(content);
-      if (p) {
-        setLastPriceSource(`meta:${sel}`);
-        return p;
-      }
-    }
-
-    // JSON-LD offers.price
-    const scripts = [...document.querySelectorAll('script[type="application/ld+json"]')];
-    for (const s of scripts) {
-      try {
-        const json = JSON.parse(s.textContent || "null");
-        const nodes = Array.isArray(json) ? json : [json];
-
-        for (const n of nodes) {
-          const offers = n?.offers;
-          const offerArr = Array.isArray(offers) ? offers : offers ? [offers] : [];
-          for (const off of offerArr) {
-            const price = off?.price ?? off?.priceSpecification?.price;
-            const currency = off?.priceCurrency;
-            if (price != null) {
-              const p = extractPriceFromText(`${price} ${currency || "SEK"}`);
-              if (p) {
-                setLastPriceSource("jsonld:offers.price");
-                return p;
-              }
-            }
-          }
-
-          const graph = n?.["@graph"];
-          if (Array.isArray(graph)) {
-            for (const g of graph) {
-              const offers2 = g?.offers;
-              const offerArr2 = Array.isArray(offers2) ? offers2 : offers2 ? [offers2] : [];
-              for (const off of offerArr2) {
-                const price = off?.price ?? off?.priceSpecification?.price;
-                const currency = off?.priceCurrency;
-                if (price != null) {
-                  const p = extractPriceFromText(`${price} ${currency || "SEK"}`);
-                  if (p) {
-                    setLastPriceSource("jsonld:@graph.offers.price");
-                    return p;
-                  }
-                }
-              }
-            }
-          }
-        }
-      } catch {
-        // ignore
-      }
-    }
-
-    return null;
-  }
-
-  function collectCandidates(root, anchorEl) {
-    const selectors = [
-      "[itemprop='price']",
-      "[data-testid*='price']",
-      "[data-test*='price']",
-      "[data-qa*='price']",
-      "[aria-label*='price']",
-      "[aria-label*='pris']",
-      "[class*='price']",
-      "[class*='Price']",
-      "[id*='price']",
-      "[id*='Price']",
-      "span",
-      "div"
-    ];
-
-    const nodes = [];
-    for (const sel of selectors) nodes.push(...root.querySelectorAll(sel));
-    const uniq = Array.from(new Set(nodes));
-
-    const out = [];
-
-    for (const el of uniq) {
-      if (!(el instanceof Element)) continue;
-      if (!isVisible(el)) continue;
-      if (inBannedContainer(el)) continue;
-
-      const t = textFromNode(el);
-      if (!t) continue;
-      if (t.length > 200) continue;
-
-      // must contain currency markers, else too noisy
-      if (!/(kr|sek|€|\$)/i.test(t)) continue;
-
-      // ignore clear bad context
-      if (BAD_CONTEXT_RE.test(t)) continue;
-
-      const p = extractPriceFromText(t);
-      if (!p) continue;
-
-      // Score it
-      let score = 0;
-
-      // Reward being near product title
-      score += distanceScore(el, anchorEl);
-
-      // Reward bigger font
-      score += fontSizeScore(el);
-
-      // Reward sale labels (if present, that price is likely relevant)
-      if (SALE_CONTEXT_RE.test(t)) score += 1.2;
-
-      // Reward if inside main/product containers
-      if (el.closest("main, [role='main'], [data-testid*='product'], [class*='product'], [id*='product']")) score += 1.5;
-
-      // Small penalty if super low (often shipping) vs typical apparel price
-      // (keeps it generic but helps)
-      if (p.value > 0 && p.value < 30) score -= 2;
-
-      out.push({ value: p.value, currency: p.currency, score, text: t });
-    }
-
-    return out;
-  }
-
-  function pickBest(cands) {
-    if (!cands.length) return null;
-    cands.sort((a, b) => (b.score - a.score) || (b.value - a.value));
-    const best = cands[0];
-    return { value: best.value, currency: best.currency };
-  }
+  const siteSelectorReady = loadSiteSelector().catch(() => {});
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[SITE_SELECTOR_KEY]) loadSiteSelector();
+  });
 
   function extractPriceFromPage() {
-    const anchor = getTitleAnchor();
-
-    // DOM-first (this fixes your screenshots best)
-    const root =
-      document.querySelector("main") ||
-      document.querySelector("[role='main']") ||
-      document.querySelector("[data-testid*='product']") ||
-      document;
-
-    const domCands = collectCandidates(root, anchor);
-    const domBest = pickBest(domCands);
-
-    // Meta/JSON-LD fallback
-    const metaBest = tryExtractFromMetaAndLdJson();
-
-    // If we have DOM and META:
-    // - Prefer DOM when they disagree noticeably (because DOM is what the user sees)
-    if (domBest && metaBest) {
-      const a = domBest.value;
-      const b = metaBest.value;
-      const relDiff = Math.abs(a - b) / Math.max(1, Math.min(a, b));
-
-      if (relDiff >= 0.25) {
-        setLastPriceSource("dom:preferred_over_meta");
-        return domBest;
-      }
-      // if similar, keep DOM anyway (more stable visually)
-      setLastPriceSource("dom:close_to_meta");
-      return domBest;
-    }
-
-    if (domBest) {
-      setLastPriceSource("dom:best");
-      return domBest;
-    }
-    if (metaBest) return metaBest;
-
-    // last resort: body (very noisy)
-    const text = document.body?.innerText || "";
-    const last = extractPriceFromText(text);
-    if (last) setLastPriceSource("body:fallback");
-    return last;
+    const found = PriceExtract.fromDocument(document, { hostname: location.hostname, selector: siteSelector });
+    __SELECTOR_MISSED__ = Boolean(found?.selectorMissed);
+    if (!found || found.value == null) return null;
+    setLastPriceSource(found.source);
+    if (found.product) __LAST_PRODUCT__ = { ...found.product, productId: getProductId(location.href) };
+    return { value: found.value, currency: found.currency };
   }
 
-  // Select-mode helper: ignore struck-through prices
-  function getTextWithoutStruckPrices(element) {
-    try {
-      const clone = element.cloneNode(true);
-      if (clone.querySelectorAll) {
-        clone.querySelectorAll("del, s, strike").forEach((n) => n.remove());
-      }
-      return (clone.innerText || clone.textContent || "").trim();
-    } catch {
-      return (element?.innerText || element?.textContent || "").trim();
+  // Select mode: the click often lands on a child ("kr", a <sup>), so walk up a few levels
+  function findPricedElement(target) {
+    let node = target;
+    for (let depth = 0; node && node !== document.body && depth < 4; depth++, node = node.parentElement) {
+      const price = PriceExtract.fromElement(node);
+      if (price) return { node, price };
     }
+    return null;
   }
 
   // =========================
   // Storage (per product)
   // =========================
   const PRICE_HISTORY_KEY = "PRICE_HISTORY_BY_PRODUCT";
+  const TARGET_PRICE_KEY = "TARGET_PRICE_BY_PRODUCT";
+  const PRODUCT_INFO_KEY = "PRODUCT_INFO_BY_PRODUCT";
+
+  // Title etc. per tracked product (from the snapshot), for the watchlist dashboard.
+  // A retailer adapter's title, SKU and availability win when it read this product.
+  async function saveProductInfo(snap) {
+    const all = (await getLocal(PRODUCT_INFO_KEY)) || {};
+    const product = __LAST_PRODUCT__?.productId === snap.productId ? __LAST_PRODUCT__ : {};
+    all[snap.productId] = {
+      title: product.title || snap.title,
+      retailer: siteHost(),
+      url: snap.canonicalUrl,
+      category: snap.category,
+      sku: product.sku || all[snap.productId]?.sku || "",
+      availability: product.availability || all[snap.productId]?.availability || "",
+      updatedAt: snap.updatedAt
+    };
+    await setLocal(PRODUCT_INFO_KEY, all);
+  }
 
-  async function savePricePoint(price, url = location.href) {
+  // source = which extraction rule found the price ("select" for Select mode)
+  async function savePricePoint(price, url = location.href, source = __LAST_PRICE_SOURCE__) {
     const productId = getProductId(url);
 
     const all = (await getLocal(PRICE_HISTORY_KEY)) || {};
@@ -430,11 +168,18 @@
       currency: price.currency,
       timestamp: Date.now(),
       url: canonicalUrl(url),
-      productId
+      productId,
+      source: source || "",
+      trigger: "manual"
     });
 
     all[productId] = history.slice(-200);
     await setLocal(PRICE_HISTORY_KEY, all);
+
+    // Snapshot writes the product info now that the product is tracked
+    const snap = await getLocal("LAST_PRODUCT_SNAPSHOT");
+    if (snap?.productId === productId) await saveProductInfo(snap);
+    else await saveCurrentProductSnapshot();
   }
 
   async function buildSummary(currency) {
@@ -454,20 +199,24 @@
       currency,
       productId,
       points: values.length,
-      canonical: canonicalUrl(location.href)
+      canonical: canonicalUrl(location.href),
+      // for the chart (price-chart.js)
+      history: history.map((p) => ({ value: p.value, timestamp: p.timestamp }))
     };
   }
 
-  function computeSignal(current, lowest) {
-    if (!current || !lowest) return "—";
-    if (current <= lowest * 1.03) return "Good time to buy";
-    if (current >= lowest * 1.15) return "Consider waiting";
-    return "Fair price";
+  // Target price per product: { value, currency, setAt, notifiedValue }
+  // background.js notifies when a re-check finds a price below it
+  async function getTargetPrice(productId = getProductId(location.href)) {
+    const all = (await getLocal(TARGET_PRICE_KEY)) || {};
+    return all[productId] || null;
   }
 
-  function pctChange(current, lowest) {
-    if (!current || !lowest || lowest === 0) return null;
-    return Math.round(((current - lowest) / lowest) * 100);
+  async function setTargetPrice(value, currency, productId = getProductId(location.href)) {
+    const all = (await getLocal(TARGET_PRICE_KEY)) || {};
+    if (value === null) delete all[productId];
+    else all[productId] = { value, currency, setAt: Date.now(), notifiedValue: null };
+    await setLocal(TARGET_PRICE_KEY, all);
   }
 
   // =========================
@@ -521,6 +270,11 @@
     };
 
     await setLocal("LAST_PRODUCT_SNAPSHOT", payload);
+
+    // Keep the title fresh for products that are already tracked
+    const history = (await getLocal(PRICE_HISTORY_KEY)) || {};
+    if (history[payload.productId]) await saveProductInfo(payload);
+
     return payload;
   }
 
@@ -613,6 +367,20 @@
     }
     .pc2-btn:disabled { opacity: .5; cursor: not-allowed; }
 
+    .pc2-chart { margin-top: 10px; color: #a2bcf0; }
+    .pc2-chart:empty { display: none; }
+    .pc2-target { display:flex; gap:8px; margin-top: 10px; }
+    .pc2-input {
+      flex: 1;
+      min-width: 0;
+      padding: 9px 10px;
+      border-radius: 12px;
+      border: 1px solid rgba(255,255,255,.12);
+      background: rgba(255,255,255,.04);
+      color: #e8edf3;
+      font: inherit;
+    }
+
     .pc2-status { margin-top: 8px; opacity: .8; font-size: 12px; }
     .pc2-footnote { margin-top: 8px; opacity: .6; font-size: 11px; }
 
@@ -661,10 +429,15 @@
         <div class="pc2-row"><div class="pc2-key">Highest</div><div class="pc2-val" id="pc2-highest">—</div></div>
         <div class="pc2-row"><div class="pc2-key">Signal</div><div class="pc2-val" id="pc2-signal">—</div></div>
         <div class="pc2-row"><div class="pc2-key">Vs lowest</div><div class="pc2-val" id="pc2-vslowest">—</div></div>
+        <div class="pc2-chart" id="pc2-chart"></div>
         <div class="pc2-actions">
           <button class="pc2-btn primary" id="pc2-track">Track price</button>
           <button class="pc2-btn" id="pc2-refresh">Refresh</button>
         </div>
+        <div class="pc2-target">
+          <input class="pc2-input" id="pc2-target" type="number" min="0" step="1" placeholder="Target price" />
+          <button class="pc2-btn" id="pc2-setTarget">Notify me</button>
+        </div>
         <div class="pc2-status" id="pc2-priceStatus"></div>
       </div>
 
@@ -689,6 +462,8 @@
     drag: panel.querySelector("#pc2-drag"),
     track: panel.querySelector("#pc2-track"),
     refresh: panel.querySelector("#pc2-refresh"),
+    target: panel.querySelector("#pc2-target"),
+    setTarget: panel.querySelector("#pc2-setTarget"),
     estimate: panel.querySelector("#pc2-estimate"),
 
     current: panel.querySelector("#pc2-current"),
@@ -696,6 +471,7 @@
     highest: panel.querySelector("#pc2-highest"),
     signal: panel.querySelector("#pc2-signal"),
     vslowest: panel.querySelector("#pc2-vslowest"),
+    chart: panel.querySelector("#pc2-chart"),
     priceStatus: panel.querySelector("#pc2-priceStatus"),
 
     cat: panel.querySelector("#pc2-cat"),
@@ -760,11 +536,24 @@
   // =========================
   // Render functions
   // =========================
+  async function renderTarget() {
+    const target = await getTargetPrice();
+    el.target.value = target ? String(target.value) : "";
+    el.setTarget.textContent = target ? "Update" : "Notify me";
+  }
+
+  function selectorMissedHint() {
+    return __SELECTOR_MISSED__ ? " • Saved price selector no longer matches, use Select price again" : "";
+  }
+
   async function renderPrice() {
+    await renderTarget();
+    await siteSelectorReady;
     const live = extractPriceFromPage();
     if (!live) {
-      el.priceStatus.textContent = "No price found on this page.";
+      el.priceStatus.textContent = "No price found on this page." + selectorMissedHint();
       el.current.textContent = "—";
+      el.chart.textContent = "";
       return;
     }
 
@@ -779,6 +568,7 @@
       el.highest.textContent = "—";
       el.signal.textContent = "—";
       el.vslowest.textContent = "—";
+      el.chart.textContent = "";
       el.priceStatus.textContent = "No price history yet. Click Track price.";
       return;
     }
@@ -791,8 +581,11 @@
     el.signal.textContent = signal;
     el.vslowest.textContent = change === null ? "—" : `${change}%`;
 
+    PriceChart.render(el.chart, { points: summary.history, currency: summary.currency, live: live.value });
+
     // Debug info to help you sanity-check quickly
-    el.priceStatus.textContent = `Tracked points (this product): ${summary.points} • Source: ${__LAST_PRICE_SOURCE__}`;
+    el.priceStatus.textContent = `Tracked points (this product): ${summary.points} • Source: ${__LAST_PRICE_SOURCE__}` +
+      selectorMissedHint();
   }
 
   async function renderSnapshot() {
@@ -836,6 +629,34 @@
     setTimeout(() => (el.priceStatus.textContent = ""), 1200);
   });
 
+  el.setTarget.addEventListener("click", async () => {
+    const raw = el.target.value.trim();
+
+    // Empty field = remove the target
+    if (!raw) {
+      await setTargetPrice(null);
+      await renderTarget();
+      el.priceStatus.textContent = "Target price removed.";
+      return;
+    }
+
+    const value = Number(raw.replace(",", "."));
+    if (!Number.isFinite(value) || value <= 0) {
+      el.priceStatus.textContent = "Enter a target price above 0.";
+      return;
+    }
+
+    const live = extractPriceFromPage();
+    const currency = live?.currency || "SEK";
+
+    // Background re-checks only cover tracked products
+    if (live) await savePricePoint(live);
+    await setTargetPrice(value, currency);
+    await renderPrice();
+
+    el.priceStatus.textContent = `We'll notify you below ${formatPrice(value, currency)} ✅`;
+  });
+
   el.estimate.addEventListener("click", async () => {
     el.co2Status.textContent = "Calculating…";
     el.co2.textContent = "—";
@@ -909,9 +730,18 @@
     const t = e.target;
     if (!(t instanceof Element)) return;
 
-    const text = getTextWithoutStruckPrices(t);
-    let price = extractPriceFromText(text);
-    if (!price) price = extractPriceFromPage();
+    const picked = findPricedElement(t);
+    let price = picked?.price || null;
+    let source = "select";
+    if (picked) {
+      // Remember where the price is on this site, used first on later visits
+      t.classList.remove("pc2-selecting");
+      const selector = PriceExtract.selectorFor(picked.node);
+      if (selector) await saveSiteSelector(selector, price);
+    } else {
+      price = extractPriceFromPage();
+      source = __LAST_PRICE_SOURCE__;
+    }
 
     selecting = false;
     document.removeEventListener("mouseover", onMouseOver, true);
@@ -921,7 +751,7 @@
 
     if (!price) return;
 
-    await savePricePoint(price);
+    await savePricePoint(price, location.href, source);
     if (panel.style.display === "block") await renderPrice();
   }
 
@@ -940,8 +770,24 @@
       return true;
     }
 
+    // Popup opens -> show the chart for this page without saving a point
+    if (msg?.type === "GET_SUMMARY") {
+      (async () => {
+        await siteSelectorReady;
+        const live = extractPriceFromPage();
+        if (!live) {
+          sendResponse({ ok: false, error: "Could not find price on page." });
+          return;
+        }
+        const summary = await buildSummary(live.currency);
+        sendResponse({ ok: true, summary: summary ? { ...summary, current: live.value } : null });
+      })();
+      return true;
+    }
+
     if (msg?.type === "TRACK_PRICE_AUTO") {
       (async () => {
+        await siteSelectorReady;
         const live = extractPriceFromPage();
         if (!live) {
           sendResponse({ ok: false, error: "Could not find price on page." });
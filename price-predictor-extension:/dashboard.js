@@ -0,0 +1,412 @@
+/**
+ * dashboard.js
+ * Watchlist: every product in PRICE_HISTORY_BY_PRODUCT on one page (options page)
+ *
+ * - Title/retailer (+ SKU/availability from retailer adapters) from PRODUCT_INFO_BY_PRODUCT
+ * - Current / lowest / highest, last check (price point or RECHECK_STATE) and signal
+ * - Search, sort by column, edit target price, open or delete a product
+ * - "Allow background checks" asks for access to the sites re-checks can't fetch yet
+ * - Backup: export CSV / JSON and import with a dry-run summary (price-backup.js)
+ *
+ * Reads chrome.storage.local directly and re-renders when it changes.
+ */
+
+const PRICE_HISTORY_KEY = "PRICE_HISTORY_BY_PRODUCT";
+const TARGET_PRICE_KEY = "TARGET_PRICE_BY_PRODUCT";
+const PRODUCT_INFO_KEY = "PRODUCT_INFO_BY_PRODUCT";
+const RECHECK_STATE_KEY = "RECHECK_STATE";
+
+const rowsEl = document.getElementById("rows");
+const emptyEl = document.getElementById("empty");
+const searchEl = document.getElementById("search");
+const dashStatus = document.getElementById("dashStatus");
+const accessBtn = document.getElementById("accessBtn");
+
+const view = { query: "", sortKey: "checkedAt", sortDir: "desc" };
+let products = [];
+
+// ===== helpers (formatPrice / computeSignal / productUrl shared via price-utils.js) =====
+const { formatPrice, computeSignal, productUrl, originPattern } = PriceUtils;
+
+function formatTime(ts) {
+  if (!ts) return "—";
+  return new Date(ts).toLocaleString("sv-SE", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+}
+
+// schema.org availability -> label (InStock shows nothing)
+const AVAILABILITY_LABELS = {
+  OutOfStock: "Out of stock",
+  SoldOut: "Sold out",
+  Discontinued: "Discontinued",
+  PreOrder: "Pre-order",
+  BackOrder: "Back order",
+  LimitedAvailability: "Few left"
+};
+
+// Sort order for the signal column: best buy first
+const SIGNAL_RANK = { "Good time to buy": 0, "Fair price": 1, "Consider waiting": 2, "—": 3 };
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+// ===== data =====
+async function loadProducts() {
+  const store = await chrome.storage.local.get([PRICE_HISTORY_KEY, TARGET_PRICE_KEY, PRODUCT_INFO_KEY, RECHECK_STATE_KEY]);
+  const history = store[PRICE_HISTORY_KEY] || {};
+  const targets = store[TARGET_PRICE_KEY] || {};
+  const infos = store[PRODUCT_INFO_KEY] || {};
+  const checks = store[RECHECK_STATE_KEY]?.products || {};
+
+  const list = Object.entries(history)
+    .filter(([, points]) => Array.isArray(points) && points.length)
+    .map(([productId, points]) => {
+      const last = points[points.length - 1];
+      // Lowest/highest only over the current currency (a site can switch currency)
+      const values = points.filter((p) => p.currency === last.currency).map((p) => p.value);
+      const lowest = Math.min(...values);
+      const check = checks[productId];
+      const info = infos[productId] || {};
+      const url = last.url || info.url || productUrl(productId);
+
+      return {
+        productId,
+        url,
+        title: info.title || url,
+        retailer: info.retailer || productId.split("|")[0].replace(/^www\./, ""),
+        sku: info.sku || "",
+        availability: info.availability || "",
+        currency: last.currency,
+        current: last.value,
+        lowest,
+        highest: Math.max(...values),
+        checkedAt: Math.max(last.timestamp || 0, check?.checkedAt || 0),
+        checkError: check && !check.ok ? check.error : "",
+        selectorMissed: Boolean(check?.selectorMissed),
+        signal: computeSignal(last.value, lowest),
+        target: targets[productId] || null,
+        origin: originPattern(url),
+        needsAccess: false
+      };
+    });
+
+  // Sites the background re-checks may not fetch yet (optional_host_permissions)
+  const origins = [...new Set(list.map((p) => p.origin).filter(Boolean))];
+  const granted = await Promise.all(origins.map((origin) => chrome.permissions.contains({ origins: [origin] })));
+  const missing = new Set(origins.filter((origin, i) => !granted[i]));
+  list.forEach((p) => { p.needsAccess = missing.has(p.origin); });
+  return list;
+}
+
+async function requestMissingAccess() {
+  const origins = [...new Set(products.filter((p) => p.needsAccess).map((p) => p.origin))];
+  if (!origins.length) return;
+  try {
+    const ok = await chrome.permissions.request({ origins });
+    dashStatus.textContent = ok ? "Background checks allowed." : "Access not granted, those sites are skipped.";
+  } catch (e) {
+    dashStatus.textContent = `Could not request access: ${e?.message || e}`;
+  }
+  refresh();
+}
+
+function visibleProducts() {
+  const q = view.query.trim().toLowerCase();
+  const list = q
+    ? products.filter((p) => [p.title, p.retailer, p.url, p.sku].some((s) => String(s).toLowerCase().includes(q)))
+    : products.slice();
+
+  const dir = view.sortDir === "asc" ? 1 : -1;
+  const key = view.sortKey;
+  const valueOf = (p) => (key === "signal" ? SIGNAL_RANK[p.signal] : p[key]);
+
+  return list.sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    if (typeof va === "string") return dir * va.localeCompare(vb, "sv");
+    return dir * ((va ?? 0) - (vb ?? 0));
+  });
+}
+
+// ===== actions =====
+async function setTarget(product, raw) {
+  const all = (await chrome.storage.local.get(TARGET_PRICE_KEY))[TARGET_PRICE_KEY] || {};
+
+  if (raw.trim() === "") {
+    delete all[product.productId];
+    dashStatus.textContent = "Target removed.";
+  } else {
+    const value = parseFloat(raw.replace(",", "."));
+    if (!Number.isFinite(value) || value <= 0) {
+      dashStatus.textContent = "Enter a price above 0, or leave empty to remove the target.";
+      return;
+    }
+    all[product.productId] = { value, currency: product.currency, setAt: Date.now(), notifiedValue: null };
+    dashStatus.textContent = `Target set: ${formatPrice(value, product.currency)}`;
+  }
+
+  await chrome.storage.local.set({ [TARGET_PRICE_KEY]: all });
+}
+
+async function deleteProduct(product) {
+  if (!confirm(`Stop tracking "${product.title}"? Its price history is deleted.`)) return;
+
+  const store = await chrome.storage.local.get([PRICE_HISTORY_KEY, TARGET_PRICE_KEY, PRODUCT_INFO_KEY, RECHECK_STATE_KEY]);
+  [PRICE_HISTORY_KEY, TARGET_PRICE_KEY, PRODUCT_INFO_KEY].forEach((key) => {
+    if (store[key]) delete store[key][product.productId];
+  });
+  if (store[RECHECK_STATE_KEY]?.products) delete store[RECHECK_STATE_KEY].products[product.productId];
+
+  await chrome.storage.local.set(store);
+  dashStatus.textContent = "Product removed.";
+}
+
+// ===== render =====
+function renderHeader() {
+  document.querySelectorAll("th[data-sort]").forEach((th) => {
+    const active = th.dataset.sort === view.sortKey;
+    th.setAttribute("aria-sort", active ? (view.sortDir === "asc" ? "ascending" : "descending") : "none");
+  });
+}
+
+function renderRow(p) {
+  const tr = document.createElement("tr");
+
+  const titleCell = el("td", "pp-title");
+  const link = el("a", "", p.title);
+  link.href = p.url;
+  link.title = p.url;
+  link.addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: p.url });
+  });
+  titleCell.appendChild(link);
+  const stock = AVAILABILITY_LABELS[p.availability];
+  if (stock) titleCell.appendChild(el("div", "pp-stock", stock));
+  tr.appendChild(titleCell);
+
+  tr.appendChild(el("td", "", p.retailer));
+  tr.appendChild(el("td", "pp-num", formatPrice(p.current, p.currency)));
+  tr.appendChild(el("td", "pp-num", formatPrice(p.lowest, p.currency)));
+  tr.appendChild(el("td", "pp-num", formatPrice(p.highest, p.currency)));
+
+  const checkCell = el("td", "", formatTime(p.checkedAt));
+  if (p.checkError) {
+    checkCell.classList.add("error");
+    checkCell.title = `Last re-check failed: ${p.checkError}`;
+  }
+  if (p.needsAccess) {
+    checkCell.appendChild(el("div", "pp-note", "No site access for background checks"));
+  }
+  if (p.selectorMissed) {
+    checkCell.appendChild(el("div", "pp-note", "Saved price selector no longer matches"));
+    checkCell.title = [checkCell.title, "Use “Select price on page” on this site again."].filter(Boolean).join(" ");
+  }
+  tr.appendChild(checkCell);
+
+  tr.appendChild(el("td", "", p.signal));
+
+  const targetCell = el("td");
+  const input = el("input", "pp-target");
+  input.type = "number";
+  input.min = "0";
+  input.step = "any";
+  input.placeholder = p.currency;
+  input.value = p.target ? String(p.target.value) : "";
+  input.setAttribute("aria-label", `Target price for ${p.title}`);
+  input.addEventListener("change", () => setTarget(p, input.value));
+  targetCell.appendChild(input);
+  tr.appendChild(targetCell);
+
+  const actions = el("td", "pp-actions");
+  const openBtn = el("button", "ghost", "Open");
+  openBtn.type = "button";
+  openBtn.addEventListener("click", () => chrome.tabs.create({ url: p.url }));
+  const deleteBtn = el("button", "ghost", "Delete");
+  deleteBtn.type = "button";
+  deleteBtn.addEventListener("click", () => deleteProduct(p));
+  actions.append(openBtn, deleteBtn);
+  tr.appendChild(actions);
+
+  return tr;
+}
+
+function render() {
+  renderHeader();
+  const list = visibleProducts();
+
+  rowsEl.textContent = "";
+  list.forEach((p) => rowsEl.appendChild(renderRow(p)));
+
+  emptyEl.hidden = products.length > 0;
+  accessBtn.hidden = !products.some((p) => p.needsAccess);
+  if (products.length && !list.length) dashStatus.textContent = "No products match the search.";
+}
+
+async function refresh() {
+  products = await loadProducts();
+  render();
+}
+
+// ===== backup (export / import) =====
+const BACKUP_KEYS = [PRICE_HISTORY_KEY, TARGET_PRICE_KEY, PRODUCT_INFO_KEY];
+
+const importFile = document.getElementById("importFile");
+const importPreview = document.getElementById("importPreview");
+const importSummary = document.getElementById("importSummary");
+const backupStatus = document.getElementById("backupStatus");
+
+let pendingImport = null; // { name, parsed } between dry run and apply
+
+function setBackupStatus(text) {
+  backupStatus.textContent = text;
+  backupStatus.hidden = !text;
+}
+
+function download(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = el("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function fileDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+async function exportCsv() {
+  try {
+    const store = await chrome.storage.local.get(PRICE_HISTORY_KEY);
+    download(`price-history-${fileDate()}.csv`, PriceBackup.toCsv(store[PRICE_HISTORY_KEY]), "text/csv;charset=utf-8");
+    setBackupStatus("CSV exported.");
+  } catch (e) {
+    setBackupStatus(`Could not export CSV: ${e?.message || e}`);
+  }
+}
+
+async function exportJson() {
+  try {
+    const store = await chrome.storage.local.get(BACKUP_KEYS);
+    download(`price-predictor-backup-${fileDate()}.json`, PriceBackup.toBackup(store), "application/json");
+    setBackupStatus("JSON backup exported.");
+  } catch (e) {
+    setBackupStatus(`Could not export JSON backup: ${e?.message || e}`);
+  }
+}
+
+function renderImportSummary(name, s) {
+  const rows = [
+    ["File", `${name} (${s.kind.toUpperCase()})`],
+    ["Price points in file", s.pointsInFile],
+    ["New points", s.added],
+    ["Already stored (skipped)", s.duplicates],
+    ["Invalid (skipped)", s.invalid],
+    ["New products", s.newProducts],
+    ["Existing products with new points", s.updatedProducts]
+  ];
+  if (s.trimmed) rows.push(["Oldest points dropped (200 per product)", s.trimmed]);
+  if (s.kind === "json") rows.push(["Target prices added", s.targetsAdded], ["Target prices kept (already set)", s.targetsKept]);
+
+  importSummary.textContent = "";
+  rows.forEach(([label, value]) => {
+    const p = el("p");
+    p.append(el("b", "", label), el("span", "", String(value)));
+    importSummary.appendChild(p);
+  });
+
+  if (s.errors.length) {
+    const list = el("ul", "error");
+    s.errors.forEach((msg) => list.appendChild(el("li", "", msg)));
+    if (s.invalid > s.errors.length) list.appendChild(el("li", "", `…and ${s.invalid - s.errors.length} more`));
+    importSummary.appendChild(list);
+  }
+
+  document.getElementById("importApplyBtn").disabled = !s.added && !s.targetsAdded;
+  importPreview.hidden = false;
+}
+
+// Dry run: parse + merge in memory, show what would change
+async function previewImport(file) {
+  pendingImport = null;
+  importPreview.hidden = true;
+
+  try {
+    const parsed = PriceBackup.parse(await file.text(), file.name);
+    const { summary } = PriceBackup.planImport(await chrome.storage.local.get(BACKUP_KEYS), parsed);
+    pendingImport = { name: file.name, parsed };
+    renderImportSummary(file.name, summary);
+    setBackupStatus("Nothing has been imported yet. Check the summary and press Import.");
+  } catch (e) {
+    setBackupStatus(`Could not read ${file.name}: ${e?.message || e}`);
+  }
+}
+
+async function applyImport() {
+  if (!pendingImport) return;
+
+  // Plan again against fresh storage, so points saved since the dry run are kept
+  const { summary, next } = PriceBackup.planImport(await chrome.storage.local.get(BACKUP_KEYS), pendingImport.parsed);
+  await chrome.storage.local.set(next);
+
+  pendingImport = null;
+  importPreview.hidden = true;
+  setBackupStatus(`Imported ${summary.added} price point(s) for ${summary.newProducts + summary.updatedProducts} product(s).`);
+}
+
+document.getElementById("exportCsvBtn").addEventListener("click", exportCsv);
+document.getElementById("exportJsonBtn").addEventListener("click", exportJson);
+document.getElementById("importBtn").addEventListener("click", () => importFile.click());
+document.getElementById("importApplyBtn").addEventListener("click", applyImport);
+document.getElementById("importCancelBtn").addEventListener("click", () => {
+  pendingImport = null;
+  importPreview.hidden = true;
+  setBackupStatus("Import cancelled.");
+});
+
+importFile.addEventListener("change", () => {
+  const [file] = importFile.files;
+  importFile.value = ""; // same file can be picked again
+  if (file) previewImport(file);
+});
+
+// ===== events =====
+searchEl.addEventListener("input", () => {
+  view.query = searchEl.value;
+  dashStatus.textContent = "";
+  render();
+});
+
+accessBtn.addEventListener("click", requestMissingAccess);
+
+document.querySelectorAll("th[data-sort]").forEach((th) => {
+  th.tabIndex = 0;
+  const pick = () => {
+    const key = th.dataset.sort;
+    view.sortDir = view.sortKey === key && view.sortDir === "asc" ? "desc" : "asc";
+    view.sortKey = key;
+    render();
+  };
+  th.addEventListener("click", pick);
+  th.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      pick();
+    }
+  });
+});
+
+// Re-checks, the widget or another dashboard tab changed something
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+  if ([PRICE_HISTORY_KEY, TARGET_PRICE_KEY, PRODUCT_INFO_KEY, RECHECK_STATE_KEY].some((key) => changes[key])) refresh();
+});
+
+chrome.permissions.onAdded.addListener(refresh);
+chrome.permissions.onRemoved.addListener(refresh);
+
+refresh();
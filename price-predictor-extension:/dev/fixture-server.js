@@ -0,0 +1,129 @@
+/**
+ * dev/fixture-server.js
+ * Local product pages for testing background re-checks (no dependencies).
+ *
+ * - GET /product/<id>        -> product page with the current price
+ * - GET /set?id=<id>&price=N -> change a price (the next re-check sees it)
+ * - GET /state               -> all fixture products and prices as JSON
+ *
+ * The pages mimic what retailers do: sale + struck old price, Klarna "per month"
+ * noise, a footer with shipping prices, and JSON-LD / meta fallbacks.
+ *
+ * Usage:
+ *   node dev/fixture-server.js [--port 8790]
+ *
+ * Then:
+ *   1) Open http://localhost:8790/product/tee, click "Track price" in the widget
+ *      and set a target price (e.g. 150)
+ *   2) http://localhost:8790/set?id=tee&price=129
+ *   3) Popup -> "Check tracked prices now" (or wait for the alarm)
+ *      -> new price point + "Price drop" notification
+ */
+
+const http = require("http");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(arg("port", process.env.PORT || 8790));
+
+// kind: "dom" (visible price + JSON-LD), "jsonld" (no visible price), "meta" (meta tag + visible price)
+const products = {
+  tee: { title: "Relaxed Fit T-shirt", price: 199, was: 249, kind: "dom" },
+  jeans: { title: "Straight Jeans", price: 599, kind: "jsonld" },
+  dress: { title: "Linen Dress", price: 899, kind: "meta" }
+};
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+}
+
+function productPage(id, p) {
+  const jsonLd = {
+    "@context": "https://schema.org",
+    "@type": "Product",
+    name: p.title,
+    sku: `FX-${id}`,
+    offers: { "@type": "Offer", price: p.price, priceCurrency: "SEK", availability: "https://schema.org/InStock" }
+  };
+
+  const visiblePrice = p.kind === "jsonld" ? "" : `
+      <div class="product-price">
+        ${p.was ? `<del>${p.was} kr</del> <span class="sale">-${Math.round((1 - p.price / p.was) * 100)}%</span>` : ""}
+        <span class="price-now">${p.price} kr</span>
+      </div>
+      <div class="klarna">Eller ${Math.round(p.price / 6)} kr/mån med Klarna</div>`;
+
+  return `<!doctype html>
+<html lang="sv">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(p.title)} | Fixture Store</title>
+  ${p.kind === "meta" ? `<meta property="product:price:amount" content="${p.price} SEK" />` : ""}
+  ${p.kind !== "meta" ? `<script type="application/ld+json">${JSON.stringify(jsonLd)}</script>` : ""}
+  <style>
+    body { font: 14px/1.4 system-ui, sans-serif; margin: 0; }
+    header, footer { padding: 12px 24px; background: #eee; }
+    main { padding: 24px; max-width: 720px; }
+    h1 { font-size: 28px; margin: 0 0 12px; }
+    .price-now { font-size: 26px; font-weight: 700; }
+    .klarna { font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <header>Fixture Store · Fri frakt över 499 kr</header>
+  <main>
+    <div class="product">
+      <h1>${escapeHtml(p.title)}</h1>${visiblePrice}
+      <p>100% bomull. Art.nr FX-${id}</p>
+    </div>
+  </main>
+  <footer>Frakt 49 kr · Retur 0 kr</footer>
+</body>
+</html>`;
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  const match = url.pathname.match(/^\/product\/([\w-]+)$/);
+
+  if (match) {
+    const p = products[match[1]];
+    if (!p) {
+      res.writeHead(404);
+      return res.end("Not found");
+    }
+    console.log(`→ ${match[1]} @ ${p.price} kr`);
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+    return res.end(productPage(match[1], p));
+  }
+
+  if (url.pathname === "/set") {
+    const p = products[url.searchParams.get("id")];
+    const price = Number(url.searchParams.get("price"));
+    if (!p || !Number.isFinite(price) || price <= 0) return sendJson(res, 400, { ok: false, error: "Use /set?id=<id>&price=<number>" });
+    p.price = price;
+    console.log(`✓ ${url.searchParams.get("id")} is now ${price} kr`);
+    return sendJson(res, 200, { ok: true, products });
+  }
+
+  if (url.pathname === "/state" || url.pathname === "/") return sendJson(res, 200, products);
+
+  res.writeHead(404);
+  res.end("Not found");
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Fixture store on http://localhost:${PORT}  (${Object.keys(products).map((id) => `/product/${id}`).join(", ")})`);
+  });
+}
+
+module.exports = { server, products, productPage };
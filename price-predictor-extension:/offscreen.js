@@ -0,0 +1,63 @@
+/**
+ * offscreen.js
+ * Parses fetched product pages for background.js (service workers have no DOM)
+ *
+ * - The HTML is rendered in a sandboxed iframe WITHOUT allow-scripts, so the
+ *   retailer's JS never runs, but layout does: price-extract.js can score by
+ *   visibility, font size and distance to the H1 just like on the live page
+ * - <base href> makes the page's own CSS load (it decides what is visible)
+ * - JSON-LD / meta tags are plain markup, so they still work
+ * - The srcdoc frame has no real location, so the hostname (retailer adapter)
+ *   and the site's saved Select-mode selector come with the message
+ */
+
+const RENDER_TIMEOUT_MS = 8000;
+
+// <base href> for relative CSS, and no meta refresh (it would navigate the frame away)
+function prepareHtml(html, url) {
+  const base = `<base href="${String(url).replace(/"/g, "&quot;")}">`;
+  const clean = String(html).replace(/<meta[^>]+http-equiv\s*=\s*["']?refresh[^>]*>/gi, "");
+  if (/<head[^>]*>/i.test(clean)) return clean.replace(/<head[^>]*>/i, (m) => `${m}${base}`);
+  return base + clean;
+}
+
+function renderInFrame(html, url) {
+  return new Promise((resolve) => {
+    const frame = document.createElement("iframe");
+    frame.setAttribute("sandbox", "allow-same-origin");
+    frame.style.cssText = "position:absolute;left:0;top:0;width:1280px;height:2000px;border:0;";
+
+    // Don't wait forever on slow images/fonts, layout is usually ready long before
+    const timer = setTimeout(() => resolve(frame), RENDER_TIMEOUT_MS);
+    frame.addEventListener("load", () => {
+      clearTimeout(timer);
+      resolve(frame);
+    }, { once: true });
+
+    frame.srcdoc = prepareHtml(html, url);
+    document.body.appendChild(frame);
+  });
+}
+
+async function extractFromHtml(html, url, selector) {
+  const frame = await renderInFrame(html, url);
+  try {
+    const doc = frame.contentDocument;
+    if (!doc) throw new Error("Could not render page.");
+    return PriceExtract.fromDocument(doc, { hostname: new URL(url).hostname, selector });
+  } finally {
+    frame.remove();
+  }
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.target !== "offscreen" || msg.type !== "EXTRACT_PRICE") return;
+
+  extractFromHtml(msg.html, msg.url, msg.selector)
+    .then((price) => sendResponse(price?.value != null
+      ? { ok: true, price }
+      : { ok: false, error: "No price found on page.", selectorMissed: Boolean(price?.selectorMissed) }))
+    .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+
+  return true;
+});
@@ -2,7 +2,8 @@
  * popup.js
  * - PRICE: Track / Select price (no injection; content.js is loaded via manifest)
  * - CO2: Estimate with Climatiq (via background.js)
- * - Level 2: Schedule a notification after 60 seconds using chrome.alarms (via background)
+ * - Re-check all tracked prices now (background.js, otherwise runs on chrome.alarms)
+ * - Open the watchlist dashboard (options page)
  * - NEW: Open the on-page widget after successful track (OPEN_WIDGET)
  */
 
@@ -61,30 +62,33 @@ async function sendToActiveTab(message) {
 // PRICE BUTTONS
 // =====================================================
 
+// Background re-checks need access to the site; asked once per site, on this click
+async function requestSiteAccess() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const origin = originPattern(tab?.url || "");
+  if (!origin) return false;
+  try {
+    return await chrome.permissions.request({ origins: [origin] });
+  } catch {
+    return false;
+  }
+}
+
 document.getElementById("trackBtn").addEventListener("click", async () => {
+  const access = requestSiteAccess();
   const res = await sendToActiveTab({ type: "TRACK_PRICE_AUTO" });
 
   statusEl.textContent = res?.ok
-    ? "Saved price point ✅"
+    ? "Saved price point ✅" + ((await access) ? "" : " (no background checks for this site)")
     : (res?.error || "Could not track");
 
-  // ✅ If tracking succeeded:
-  // 1) Open the on-page widget
-  // 2) Schedule notification
+  // ✅ If tracking succeeded: open the on-page widget
+  // (price drops are notified by the background re-checks, target price is set in the widget)
   if (res?.ok) {
-    // 1) Open widget (floating panel) on the page
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tab?.id) {
       chrome.tabs.sendMessage(tab.id, { type: "OPEN_WIDGET" });
     }
-
-    // 2) Schedule notification after 10 seconds (you can change delaySeconds)
-    chrome.runtime.sendMessage({
-      type: "SCHEDULE_NOTIFICATION",
-      delaySeconds: 10,
-      title: "Price Predictor",
-      message: "10 sek har gått — kolla pris & CO₂ igen 👀"
-    });
   }
 
   if (res?.summary) renderSummary(res.summary);
@@ -98,30 +102,28 @@ document.getElementById("selectPriceBtn").addEventListener("click", async () =>
     : (res?.error || "Could not start selection");
 });
 
-// ===== price summary helpers =====
-function formatPrice(value, currency) {
-  if (typeof value !== "number" || !Number.isFinite(value)) return "—";
-  try {
-    return new Intl.NumberFormat("sv-SE", {
-      style: "currency",
-      currency: currency
-    }).format(value);
-  } catch {
-    return `${value}`;
+document.getElementById("recheckBtn").addEventListener("click", async () => {
+  statusEl.textContent = "Checking tracked prices…";
+
+  const res = await chrome.runtime.sendMessage({ type: "RECHECK_NOW" });
+  if (!res?.ok) {
+    statusEl.textContent = res?.error || "Could not check prices";
+    return;
   }
-}
 
-function computeSignal(current, lowest) {
-  if (!current || !lowest) return "—";
-  if (current <= lowest * 1.03) return "Good time to buy";
-  if (current >= lowest * 1.15) return "Consider waiting";
-  return "Fair price";
-}
+  const { checked, failed, notified, needsAccess } = res.result;
+  statusEl.textContent = `Checked ${checked} product(s)` +
+    (failed ? `, ${failed} failed` : "") +
+    (notified ? `, ${notified} below target 📉` : "") +
+    (needsAccess ? `, ${needsAccess} need site access (see watchlist)` : "");
+});
 
-function pctChange(current, lowest) {
-  if (!current || !lowest || lowest === 0) return null;
-  return Math.round(((current - lowest) / lowest) * 100);
-}
+document.getElementById("watchlistBtn").addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// ===== price summary helpers (price-utils.js) =====
+const { formatPrice, computeSignal, pctChange, originPattern } = PriceUtils;
 
 function renderSummary(s) {
   if (!s) {
@@ -138,7 +140,22 @@ function renderSummary(s) {
     <p><b>Highest seen</b> ${formatPrice(s.highest, s.currency)}</p>
     <p><b>Signal</b> ${signal}</p>
     <p><b>Vs lowest</b> ${change === null ? "—" : `${change}%`}</p>
+    <div id="priceChart" class="pp-chart"></div>
   `;
+
+  if (s.history?.length) {
+    PriceChart.render(document.getElementById("priceChart"), {
+      points: s.history,
+      currency: s.currency,
+      live: s.current
+    });
+  }
+}
+
+// Show history + chart for the current tab when the popup opens (no new point saved)
+async function loadSummary() {
+  const res = await sendToActiveTab({ type: "GET_SUMMARY" });
+  if (res?.ok && res.summary) renderSummary(res.summary);
 }
 
 // =====================================================
@@ -196,5 +213,6 @@ estimateBtn.addEventListener("click", async () => {
   );
 });
 
-// Load snapshot on open
-loadProductSnapshot();
\ No newline at end of file
+// Load snapshot + price summary on open
+loadProductSnapshot();
+loadSummary();
\ No newline at end of file
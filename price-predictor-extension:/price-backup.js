@@ -0,0 +1,294 @@
+/**
+ * price-backup.js
+ * Export / import of price history and product data (no chrome.* APIs in here)
+ *
+ * Used by:
+ * - dashboard.js -> Export CSV / Export JSON / Import on the watchlist page
+ * Needs price-utils.js (productUrl) loaded first.
+ *
+ * - CSV: one row per price point (for spreadsheets), can be imported again
+ * - JSON: versioned backup of history, targets and product info
+ * - Import: every point is validated, points already stored are skipped and
+ *   planImport() returns a summary first, so nothing is written before the user applies it
+ */
+(() => {
+  if (globalThis.PriceBackup) return;
+
+  const BACKUP_FORMAT = "price-predictor-backup";
+  const BACKUP_VERSION = 1;
+  const MAX_POINTS_PER_PRODUCT = 200; // same cap as savePricePoint / appendPricePoint
+  const MAX_ERRORS = 20;
+
+  const CSV_COLUMNS = ["productId", "canonicalUrl", "value", "currency", "timestamp", "source", "trigger"];
+
+  const { productUrl } = globalThis.PriceUtils;
+
+  // ===== export =====
+  function csvCell(value) {
+    const s = value == null ? "" : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // Invalid or missing timestamp -> empty cell (the row fails validation on import)
+  function isoTime(timestamp) {
+    const date = new Date(timestamp);
+    return Number.isFinite(date.getTime()) ? date.toISOString() : "";
+  }
+
+  function toCsv(history) {
+    const lines = [CSV_COLUMNS.join(",")];
+    Object.entries(history || {}).forEach(([productId, points]) => {
+      (Array.isArray(points) ? points : []).forEach((p) => {
+        if (!p) return;
+        lines.push([
+          productId,
+          p.url || productUrl(productId),
+          p.value,
+          p.currency,
+          isoTime(p.timestamp),
+          p.source || "",
+          p.trigger || ""
+        ].map(csvCell).join(","));
+      });
+    });
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  // store = { PRICE_HISTORY_BY_PRODUCT, TARGET_PRICE_BY_PRODUCT, PRODUCT_INFO_BY_PRODUCT }
+  function toBackup(store, now = Date.now()) {
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date(now).toISOString(),
+      history: store.PRICE_HISTORY_BY_PRODUCT || {},
+      targets: store.TARGET_PRICE_BY_PRODUCT || {},
+      products: store.PRODUCT_INFO_BY_PRODUCT || {}
+    }, null, 2);
+  }
+
+  // ===== parse =====
+  // RFC 4180: quoted fields, "" inside quotes, CRLF or LF
+  function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          cell += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += c;
+      }
+    }
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((c) => c.trim() !== ""));
+  }
+
+  function fromCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    const missing = CSV_COLUMNS.slice(0, 5).filter((c) => !(header || []).includes(c));
+    if (missing.length) throw new Error(`CSV is missing column(s): ${missing.join(", ")}`);
+
+    const col = Object.fromEntries(header.map((name, i) => [name, i]));
+    const points = rows.map((r, i) => ({
+      line: i + 2,
+      productId: r[col.productId],
+      url: r[col.canonicalUrl],
+      value: r[col.value],
+      currency: r[col.currency],
+      timestamp: r[col.timestamp],
+      source: col.source != null ? r[col.source] : "",
+      trigger: col.trigger != null ? r[col.trigger] : ""
+    }));
+
+    return { kind: "csv", points, targets: {}, products: {} };
+  }
+
+  function fromJson(text) {
+    const json = JSON.parse(text);
+    if (json?.format !== BACKUP_FORMAT) throw new Error("Not a Price Predictor backup file.");
+    if (json.version !== BACKUP_VERSION) throw new Error(`Unsupported backup version ${json.version} (expected ${BACKUP_VERSION}).`);
+
+    const points = [];
+    Object.entries(json.history || {}).forEach(([productId, list]) => {
+      (Array.isArray(list) ? list : []).forEach((p, i) => {
+        points.push({ ...p, productId, line: `${productId} #${i + 1}` });
+      });
+    });
+
+    return { kind: "json", points, targets: json.targets || {}, products: json.products || {} };
+  }
+
+  // Text of an imported file -> { kind, points, targets, products } (throws on an unreadable file)
+  function parse(text, fileName = "") {
+    const trimmed = String(text || "").replace(/^\uFEFF/, "").trim();
+    if (!trimmed) throw new Error("The file is empty.");
+    if (/\.json$/i.test(fileName) || trimmed.startsWith("{")) return fromJson(trimmed);
+    return fromCsv(trimmed);
+  }
+
+  // ===== validate =====
+  function parseTimestamp(raw) {
+    if (typeof raw === "number") return raw;
+    const s = String(raw ?? "").trim();
+    return /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  }
+
+  // Raw point -> { point } or { error }
+  function validatePoint(raw, now) {
+    const productId = String(raw.productId ?? "").trim();
+    if (!/^[^|]+\|https?:\/\//.test(productId)) return { error: "productId must look like host|https://…" };
+
+    const value = typeof raw.value === "number" ? raw.value : parseFloat(String(raw.value ?? "").replace(",", "."));
+    if (!Number.isFinite(value) || value <= 0) return { error: `invalid value "${raw.value}"` };
+
+    const currency = String(raw.currency ?? "").trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) return { error: `invalid currency "${raw.currency}"` };
+
+    const timestamp = parseTimestamp(raw.timestamp);
+    if (!Number.isFinite(timestamp) || timestamp <= 0 || timestamp > now + 24 * 60 * 60 * 1000) {
+      return { error: `invalid timestamp "${raw.timestamp}"` };
+    }
+
+    const url = String(raw.url || productUrl(productId)).trim();
+    if (!/^https?:\/\//.test(url)) return { error: `invalid URL "${url}"` };
+
+    return {
+      point: {
+        value,
+        currency,
+        timestamp,
+        url,
+        productId,
+        source: String(raw.source || ""),
+        trigger: raw.trigger === "recheck" ? "recheck" : "manual"
+      }
+    };
+  }
+
+  function validTarget(t) {
+    return t && Number.isFinite(t.value) && t.value > 0 && /^[A-Z]{3}$/.test(String(t.currency || ""));
+  }
+
+  // ===== plan / merge =====
+  const pointKey = (p) => `${p.timestamp}|${p.value}|${p.currency}`;
+
+  /**
+   * Dry run: merges the parsed file into the current store without writing anything.
+   * Returns { summary, next } where next holds the three storage objects to write.
+   * Existing points are never replaced, a local target wins over the file and product info
+   * is only taken from the file when it is missing or newer.
+   */
+  function planImport(current, parsed, now = Date.now()) {
+    const history = structuredClone(current.PRICE_HISTORY_BY_PRODUCT || {});
+    const targets = structuredClone(current.TARGET_PRICE_BY_PRODUCT || {});
+    const products = structuredClone(current.PRODUCT_INFO_BY_PRODUCT || {});
+
+    const summary = {
+      kind: parsed.kind,
+      pointsInFile: parsed.points.length,
+      added: 0,
+      duplicates: 0,
+      invalid: 0,
+      trimmed: 0,
+      newProducts: 0,
+      updatedProducts: 0,
+      targetsAdded: 0,
+      targetsKept: 0,
+      errors: []
+    };
+
+    const seen = {};
+    const touched = new Set();
+    const created = new Set();
+
+    parsed.points.forEach((raw) => {
+      const { point, error } = validatePoint(raw || {}, now);
+      if (error) {
+        summary.invalid++;
+        if (summary.errors.length < MAX_ERRORS) summary.errors.push(`${raw?.line ?? "?"}: ${error}`);
+        return;
+      }
+
+      const id = point.productId;
+      if (!seen[id]) {
+        seen[id] = new Set((history[id] || []).map(pointKey));
+        if (!history[id]) created.add(id);
+      }
+      if (seen[id].has(pointKey(point))) {
+        summary.duplicates++;
+        return;
+      }
+
+      seen[id].add(pointKey(point));
+      (history[id] = history[id] || []).push(point);
+      touched.add(id);
+      summary.added++;
+    });
+
+    touched.forEach((id) => {
+      const list = history[id].sort((a, b) => a.timestamp - b.timestamp);
+      summary.trimmed += Math.max(0, list.length - MAX_POINTS_PER_PRODUCT);
+      history[id] = list.slice(-MAX_POINTS_PER_PRODUCT);
+    });
+    summary.newProducts = created.size;
+    summary.updatedProducts = touched.size - created.size;
+
+    Object.entries(parsed.targets || {}).forEach(([id, t]) => {
+      if (!history[id] || !validTarget(t)) return;
+      if (targets[id]) {
+        summary.targetsKept++;
+        return;
+      }
+      targets[id] = { value: t.value, currency: t.currency, setAt: Number(t.setAt) || now, notifiedValue: null };
+      summary.targetsAdded++;
+    });
+
+    Object.entries(parsed.products || {}).forEach(([id, info]) => {
+      if (!history[id] || !info || typeof info.title !== "string") return;
+      if (!products[id] || (Number(info.updatedAt) || 0) > (Number(products[id].updatedAt) || 0)) products[id] = info;
+    });
+
+    return {
+      summary,
+      next: {
+        PRICE_HISTORY_BY_PRODUCT: history,
+        TARGET_PRICE_BY_PRODUCT: targets,
+        PRODUCT_INFO_BY_PRODUCT: products
+      }
+    };
+  }
+
+  globalThis.PriceBackup = {
+    FORMAT: BACKUP_FORMAT,
+    VERSION: BACKUP_VERSION,
+    CSV_COLUMNS,
+    toCsv,
+    toBackup,
+    parse,
+    planImport
+  };
+})();
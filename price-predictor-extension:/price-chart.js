@@ -0,0 +1,244 @@
+/**
+ * price-chart.js
+ * Dependency-free SVG price history chart
+ *
+ * Used by:
+ * - content.js -> .pc2-panel widget on the product page
+ * - popup.js   -> summary in the popup
+ *
+ * - Line over time + a dot per point (hover/touch shows price + date)
+ * - Band between lowest and highest price in the selected range
+ * - Dashed marker for the live price on the page
+ * - Ranges: 7d / 30d / 90d / all
+ *
+ * Needs price-utils.js (formatPrice) loaded first.
+ *
+ * Styles are inline (the widget lives inside retailer pages with their own CSS).
+ * Colors follow currentColor, so it works on both the dark widget and the popup.
+ */
+(() => {
+  if (globalThis.PriceChart) return;
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const RANGES = [
+    { id: "7d", label: "7d", days: 7 },
+    { id: "30d", label: "30d", days: 30 },
+    { id: "90d", label: "90d", days: 90 },
+    { id: "all", label: "All", days: null }
+  ];
+
+  const WIDTH = 300;
+  const HEIGHT = 120;
+  const PAD = { top: 10, right: 44, bottom: 18, left: 6 };
+
+  function svgEl(tag, attrs = {}) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, String(v)));
+    return node;
+  }
+
+  function htmlEl(tag, style, text) {
+    const node = document.createElement(tag);
+    if (style) node.style.cssText = style;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  // Whole numbers keep axis labels and the tooltip short
+  function formatPrice(value, currency) {
+    return globalThis.PriceUtils.formatPrice(value, currency, { maximumFractionDigits: 0 });
+  }
+
+  function formatDate(ts) {
+    return new Date(ts).toLocaleString("sv-SE", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+  }
+
+  function cleanPoints(points) {
+    return (Array.isArray(points) ? points : [])
+      .filter((p) => p && Number.isFinite(p.value) && Number.isFinite(p.timestamp))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  function inRange(points, range, now) {
+    if (!range.days) return points;
+    const from = now - range.days * DAY_MS;
+    return points.filter((p) => p.timestamp >= from);
+  }
+
+  // Smallest range with at least two points, so the first view shows a line
+  function defaultRange(points, now) {
+    return RANGES.find((r) => inRange(points, r, now).length >= 2) || RANGES[RANGES.length - 1];
+  }
+
+  function renderToolbar(container, current, onPick) {
+    const bar = htmlEl("div", "display:flex;gap:4px;margin:0 0 6px;");
+    RANGES.forEach((r) => {
+      const active = r.id === current.id;
+      const btn = htmlEl(
+        "button",
+        "all:unset;cursor:pointer;padding:2px 8px;border-radius:999px;font:600 11px/1.6 system-ui,sans-serif;" +
+          `border:1px solid currentColor;opacity:${active ? 1 : 0.55};`,
+        r.label
+      );
+      btn.type = "button";
+      btn.setAttribute("aria-pressed", String(active));
+      btn.addEventListener("click", () => onPick(r));
+      bar.appendChild(btn);
+    });
+    container.appendChild(bar);
+  }
+
+  function render(container, options = {}) {
+    if (!container) return;
+    const { currency = "SEK", live = null, accent = "#f89ce5" } = options;
+    const now = options.now || Date.now();
+    const points = cleanPoints(options.points);
+
+    const range = RANGES.find((r) => r.id === (options.range || container.dataset.pcRange)) || defaultRange(points, now);
+    container.dataset.pcRange = range.id;
+
+    container.textContent = "";
+    container.style.position = "relative";
+
+    renderToolbar(container, range, (picked) => render(container, { ...options, range: picked.id }));
+
+    const visible = inRange(points, range, now);
+    if (!visible.length) {
+      container.appendChild(htmlEl("div", "font-size:12px;opacity:.7;padding:10px 0;", "No price points in this range yet."));
+      return;
+    }
+
+    const values = visible.map((p) => p.value);
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const hasLive = Number.isFinite(live);
+
+    // Y: prices in range + live price, with some air
+    const yMin = Math.min(low, hasLive ? live : low);
+    const yMax = Math.max(high, hasLive ? live : high);
+    const yPad = Math.max((yMax - yMin) * 0.15, yMax * 0.02, 1);
+    const y0 = yMin - yPad;
+    const y1 = yMax + yPad;
+
+    // X: range start (or first point) -> now
+    const x0 = range.days ? now - range.days * DAY_MS : Math.min(visible[0].timestamp, now - DAY_MS);
+    const x1 = now;
+
+    const plotW = WIDTH - PAD.left - PAD.right;
+    const plotH = HEIGHT - PAD.top - PAD.bottom;
+    const sx = (t) => PAD.left + ((t - x0) / Math.max(1, x1 - x0)) * plotW;
+    const sy = (v) => PAD.top + (1 - (v - y0) / Math.max(1e-9, y1 - y0)) * plotH;
+
+    const svg = svgEl("svg", {
+      viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+      width: "100%",
+      role: "img",
+      "aria-label": `Price history, ${range.label}: lowest ${formatPrice(low, currency)}, highest ${formatPrice(high, currency)}`
+    });
+    svg.style.cssText = "display:block;overflow:visible;color:inherit;";
+
+    // Lowest/highest band
+    svg.appendChild(svgEl("rect", {
+      x: PAD.left, y: sy(high), width: plotW, height: Math.max(1, sy(low) - sy(high)),
+      fill: "currentColor", "fill-opacity": 0.08
+    }));
+    (low === high ? [[high, "High"]] : [[high, "High"], [low, "Low"]]).forEach(([v, label]) => {
+      svg.appendChild(svgEl("line", {
+        x1: PAD.left, x2: PAD.left + plotW, y1: sy(v), y2: sy(v),
+        stroke: "currentColor", "stroke-opacity": 0.35, "stroke-dasharray": "2 3"
+      }));
+      const text = svgEl("text", {
+        x: PAD.left + plotW + 4, y: sy(v) + (label === "High" ? 0 : 8),
+        fill: "currentColor", "fill-opacity": 0.75, "font-size": 9, "font-family": "system-ui, sans-serif"
+      });
+      text.textContent = formatPrice(v, currency);
+      svg.appendChild(text);
+    });
+
+    // Price line
+    if (visible.length > 1) {
+      const d = visible.map((p, i) => `${i ? "L" : "M"}${sx(p.timestamp).toFixed(1)},${sy(p.value).toFixed(1)}`).join(" ");
+      svg.appendChild(svgEl("path", {
+        d, fill: "none", stroke: "currentColor", "stroke-width": 1.8, "stroke-linejoin": "round", "stroke-linecap": "round"
+      }));
+    }
+    visible.forEach((p) => {
+      svg.appendChild(svgEl("circle", { cx: sx(p.timestamp), cy: sy(p.value), r: 2.2, fill: "currentColor" }));
+    });
+
+    // Live price marker (right edge = now)
+    if (hasLive) {
+      svg.appendChild(svgEl("line", {
+        x1: PAD.left, x2: PAD.left + plotW, y1: sy(live), y2: sy(live),
+        stroke: accent, "stroke-width": 1, "stroke-dasharray": "4 3"
+      }));
+      svg.appendChild(svgEl("circle", { cx: sx(now), cy: sy(live), r: 3.5, fill: accent }));
+    }
+
+    // Date labels (first + last)
+    [[x0, "start"], [x1, "end"]].forEach(([t, anchor]) => {
+      const text = svgEl("text", {
+        x: anchor === "start" ? PAD.left : PAD.left + plotW, y: HEIGHT - 4, "text-anchor": anchor,
+        fill: "currentColor", "fill-opacity": 0.6, "font-size": 9, "font-family": "system-ui, sans-serif"
+      });
+      text.textContent = anchor === "end" ? "Now" : new Date(t).toLocaleDateString("sv-SE", { day: "numeric", month: "short" });
+      svg.appendChild(text);
+    });
+
+    // Hover: nearest point by x
+    const focus = svgEl("circle", { r: 4.5, fill: "none", stroke: "currentColor", "stroke-width": 1.5, visibility: "hidden" });
+    svg.appendChild(focus);
+
+    const tip = htmlEl(
+      "div",
+      "position:absolute;pointer-events:none;display:none;white-space:nowrap;padding:4px 7px;border-radius:8px;" +
+        "background:rgba(0,0,0,.78);color:#fff;font:600 11px/1.3 system-ui,sans-serif;transform:translate(-50%,-120%);"
+    );
+
+    const overlay = svgEl("rect", { x: 0, y: 0, width: WIDTH, height: HEIGHT, fill: "transparent" });
+    svg.appendChild(overlay);
+
+    function showNearest(clientX) {
+      const box = svg.getBoundingClientRect();
+      if (!box.width) return;
+      const vx = ((clientX - box.left) / box.width) * WIDTH;
+      const nearest = visible.reduce((a, b) => (Math.abs(sx(b.timestamp) - vx) < Math.abs(sx(a.timestamp) - vx) ? b : a));
+
+      const cx = sx(nearest.timestamp);
+      const cy = sy(nearest.value);
+      focus.setAttribute("cx", cx);
+      focus.setAttribute("cy", cy);
+      focus.setAttribute("visibility", "visible");
+
+      tip.innerHTML = "";
+      tip.appendChild(htmlEl("div", "", formatPrice(nearest.value, currency)));
+      tip.appendChild(htmlEl("div", "font-weight:400;opacity:.8;", formatDate(nearest.timestamp)));
+      // Relative to the container (position: relative); SVG elements have no offsetTop
+      const outer = container.getBoundingClientRect();
+      tip.style.left = `${box.left - outer.left + (cx / WIDTH) * box.width}px`;
+      tip.style.top = `${box.top - outer.top + (cy / HEIGHT) * box.height}px`;
+      tip.style.display = "block";
+    }
+
+    function hide() {
+      focus.setAttribute("visibility", "hidden");
+      tip.style.display = "none";
+    }
+
+    overlay.addEventListener("mousemove", (e) => showNearest(e.clientX));
+    overlay.addEventListener("touchstart", (e) => showNearest(e.touches[0].clientX), { passive: true });
+    overlay.addEventListener("mouseleave", hide);
+
+    container.appendChild(svg);
+    container.appendChild(tip);
+
+    const legend = htmlEl("div", "display:flex;gap:10px;margin-top:4px;font-size:11px;opacity:.75;");
+    legend.appendChild(htmlEl("span", "", `${visible.length} point${visible.length === 1 ? "" : "s"}`));
+    if (hasLive) legend.appendChild(htmlEl("span", `color:${accent};`, `– – Now ${formatPrice(live, currency)}`));
+    container.appendChild(legend);
+  }
+
+  globalThis.PriceChart = { render, RANGES };
+})();
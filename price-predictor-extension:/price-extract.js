@@ -0,0 +1,651 @@
+/**
+ * price-extract.js
+ * Shared price extraction (no chrome.* APIs in here)
+ *
+ * Used by:
+ * - content.js   -> the live product page (widget, popup, select mode)
+ * - offscreen.js -> background re-checks of a fetched product page
+ *
+ * Everything takes a document, so the exact same rules run on both. Order:
+ *   1) the selector the user picked in Select mode for this site (options.selector)
+ *   2) the retailer adapter for the hostname (ADAPTERS below)
+ *   3) the generic heuristic (DOM near the H1, meta / JSON-LD fallback)
+ * Returns { value, currency, source } where source says which rule won. Adapters also
+ * return product: { title, sku, availability }, and selectorMissed is set when a
+ * saved selector no longer finds a price (then { selectorMissed: true } without a
+ * value if nothing else finds one either).
+ */
+(() => {
+  if (globalThis.PriceExtract) return;
+
+  function normalizeCurrency(symbol) {
+    const s = String(symbol || "").toLowerCase();
+    if (s.includes("kr") || s.includes("sek")) return "SEK";
+    if (s.includes("€")) return "EUR";
+    if (s.includes("$")) return "USD";
+    return "SEK";
+  }
+
+  const BAD_CONTEXT_RE =
+    /(\/\s*mån|kr\s*\/\s*mån|per\s*month|\/\s*month|\bmån\b|\bmonth\b|klarna|delbetal|installment|finansier|frakt|shipping|delivery|leverans|porto|avgift|fee|total|summa|subtotal|moms|inkl\.?\s*moms|vat)/i;
+
+  const SALE_CONTEXT_RE =
+    /(-\s?\d{1,3}\s?%|\brea\b|\bsale\b|\bord\.?\b|\bwas\b|\bbefore\b|kampanj|nedsatt|sänkt|nu\s*pris|outlet)/i;
+
+  function extractPriceFromText(text) {
+    if (!text) return null;
+    const str = String(text);
+
+    const matches = [...str.matchAll(/(\d{1,6}(?:[.,]\d{2})?)\s?(kr|sek|€|\$)/ig)];
+    if (!matches.length) return null;
+
+    function ctxAround(index, span = 40) {
+      const start = Math.max(0, index - span);
+      const end = Math.min(str.length, index + span);
+      return str.slice(start, end).toLowerCase();
+    }
+
+    const parsed = matches
+      .map((m) => {
+        const value = parseFloat(String(m[1]).replace(",", "."));
+        if (!Number.isFinite(value)) return null;
+
+        const currency = normalizeCurrency(m[2]);
+        const idx = typeof m.index === "number" ? m.index : str.indexOf(m[0]);
+        const ctx = ctxAround(idx);
+
+        return { value, currency, idx, ctx };
+      })
+      .filter(Boolean);
+
+    const filtered = parsed.filter((p) => !BAD_CONTEXT_RE.test(p.ctx));
+    const candidates = filtered.length ? filtered : parsed;
+    if (!candidates.length) return null;
+
+    const saleContext = SALE_CONTEXT_RE.test(str);
+
+    // if sale context: pick lowest (current price usually lower)
+    if (saleContext && candidates.length >= 2) {
+      const min = candidates.reduce((a, b) => (b.value < a.value ? b : a));
+      return { value: min.value, currency: min.currency };
+    }
+
+    // otherwise pick earliest plausible
+    const first = candidates.slice().sort((a, b) => a.idx - b.idx)[0];
+    return { value: first.value, currency: first.currency };
+  }
+
+  // nodeType instead of instanceof: the document may live in another frame (offscreen iframe)
+  function isElement(el) {
+    return Boolean(el && el.nodeType === 1);
+  }
+
+  function styleOf(el) {
+    return el.ownerDocument.defaultView.getComputedStyle(el);
+  }
+
+  function isVisible(el) {
+    if (!isElement(el)) return false;
+    const style = styleOf(el);
+    if (style.display === "none" || style.visibility === "hidden" || style.opacity === "0") return false;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  function textFromNode(el) {
+    if (!el) return "";
+    return (el.innerText || el.textContent || "").trim();
+  }
+
+  // Select mode / saved selectors: ignore struck-through (old) prices
+  function textWithoutStruck(el) {
+    try {
+      const clone = el.cloneNode(true);
+      if (clone.querySelectorAll) {
+        clone.querySelectorAll("del, s, strike").forEach((n) => n.remove());
+      }
+      return (clone.innerText || clone.textContent || "").trim();
+    } catch {
+      return textFromNode(el);
+    }
+  }
+
+  // "1 299 kr" -> "1299 kr" (only used for known elements; the page-wide heuristic keeps its own rules)
+  function joinThousands(text) {
+    return String(text || "").replace(/(\d)[\s\u00a0\u202f.](?=\d{3}(?!\d))/g, "$1");
+  }
+
+  // Price of one known element (Select mode, saved selector, adapters): one parse path for all
+  function extractPriceFromElement(el) {
+    return extractPriceFromText(joinThousands(textWithoutStruck(el)));
+  }
+
+  function inBannedContainer(el) {
+    // Avoid areas that frequently contain irrelevant prices
+    return Boolean(
+      el.closest("header, footer, nav, aside, dialog, [role='dialog'], [aria-modal='true']")
+    );
+  }
+
+  function getTitleAnchor(doc) {
+    // Try to find the product title (anchor point)
+    const candidates = [
+      doc.querySelector("main h1"),
+      doc.querySelector("[data-testid*='product'] h1"),
+      doc.querySelector("[data-testid*='product-name']"),
+      doc.querySelector("h1")
+    ].filter(Boolean);
+
+    const titleEl = candidates.find((el) => el && isVisible(el)) || null;
+    return titleEl;
+  }
+
+  function distanceScore(el, anchorEl) {
+    // Higher is better
+    try {
+      if (!anchorEl) return 0;
+
+      const a = anchorEl.getBoundingClientRect();
+      const r = el.getBoundingClientRect();
+
+      const ax = a.left + a.width / 2;
+      const ay = a.top + a.height / 2;
+      const rx = r.left + r.width / 2;
+      const ry = r.top + r.height / 2;
+
+      const dx = rx - ax;
+      const dy = ry - ay;
+
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      // Strong reward when close to title (within ~500px)
+      // Convert to score: 0..6
+      const s = Math.max(0, 6 - dist / 120);
+      return s;
+    } catch {
+      return 0;
+    }
+  }
+
+  function fontSizeScore(el) {
+    // Bigger font often indicates primary price
+    try {
+      const fs = parseFloat(styleOf(el).fontSize || "0");
+      if (!Number.isFinite(fs)) return 0;
+      // 12px => ~0, 24px => ~2, 36px => ~3.5
+      return Math.min(3.5, Math.max(0, (fs - 12) / 7));
+    } catch {
+      return 0;
+    }
+  }
+
+  function tryExtractFromMetaAndLdJson(doc) {
+    // Meta price
+    const metaSelectors = [
+      'meta[property="product:price:amount"]',
+      'meta[property="og:price:amount"]',
+      'meta[itemprop="price"]'
+    ];
+
+    for (const sel of metaSelectors) {
+      const node = doc.querySelector(sel);
+      if (!node) continue;
+      const content = node.getAttribute("content") || "";
+      const p = extractPriceFromText(content);
+      if (p) return { ...p, source: `meta:${sel}` };
+    }
+
+    // JSON-LD offers.price
+    const scripts = [...doc.querySelectorAll('script[type="application/ld+json"]')];
+    for (const s of scripts) {
+      try {
+        const json = JSON.parse(s.textContent || "null");
+        const nodes = Array.isArray(json) ? json : [json];
+
+        for (const n of nodes) {
+          const offers = n?.offers;
+          const offerArr = Array.isArray(offers) ? offers : offers ? [offers] : [];
+          for (const off of offerArr) {
+            const price = off?.price ?? off?.priceSpecification?.price;
+            const currency = off?.priceCurrency;
+            if (price != null) {
+              const p = extractPriceFromText(`${price} ${currency || "SEK"}`);
+              if (p) return { ...p, source: "jsonld:offers.price" };
+            }
+          }
+
+          const graph = n?.["@graph"];
+          if (Array.isArray(graph)) {
+            for (const g of graph) {
+              const offers2 = g?.offers;
+              const offerArr2 = Array.isArray(offers2) ? offers2 : offers2 ? [offers2] : [];
+              for (const off of offerArr2) {
+                const price = off?.price ?? off?.priceSpecification?.price;
+                const currency = off?.priceCurrency;
+                if (price != null) {
+                  const p = extractPriceFromText(`${price} ${currency || "SEK"}`);
+                  if (p) return { ...p, source: "jsonld:@graph.offers.price" };
+                }
+              }
+            }
+          }
+        }
+      } catch {
+        // ignore
+      }
+    }
+
+    return null;
+  }
+
+  function collectCandidates(root, anchorEl) {
+    const selectors = [
+      "[itemprop='price']",
+      "[data-testid*='price']",
+      "[data-test*='price']",
+      "[data-qa*='price']",
+      "[aria-label*='price']",
+      "[aria-label*='pris']",
+      "[class*='price']",
+      "[class*='Price']",
+      "[id*='price']",
+      "[id*='Price']",
+      "span",
+      "div"
+    ];
+
+    const nodes = [];
+    for (const sel of selectors) nodes.push(...root.querySelectorAll(sel));
+    const uniq = Array.from(new Set(nodes));
+
+    const out = [];
+
+    for (const el of uniq) {
+      if (!isElement(el)) continue;
+      if (!isVisible(el)) continue;
+      if (inBannedContainer(el)) continue;
+
+      const t = textFromNode(el);
+      if (!t) continue;
+      if (t.length > 200) continue;
+
+      // must contain currency markers, else too noisy
+      if (!/(kr|sek|€|\$)/i.test(t)) continue;
+
+      // ignore clear bad context
+      if (BAD_CONTEXT_RE.test(t)) continue;
+
+      const p = extractPriceFromText(t);
+      if (!p) continue;
+
+      // Score it
+      let score = 0;
+
+      // Reward being near product title
+      score += distanceScore(el, anchorEl);
+
+      // Reward bigger font
+      score += fontSizeScore(el);
+
+      // Reward sale labels (if present, that price is likely relevant)
+      if (SALE_CONTEXT_RE.test(t)) score += 1.2;
+
+      // Reward if inside main/product containers
+      if (el.closest("main, [role='main'], [data-testid*='product'], [class*='product'], [id*='product']")) score += 1.5;
+
+      // Small penalty if super low (often shipping) vs typical apparel price
+      // (keeps it generic but helps)
+      if (p.value > 0 && p.value < 30) score -= 2;
+
+      out.push({ value: p.value, currency: p.currency, score, text: t });
+    }
+
+    return out;
+  }
+
+  function pickBest(cands) {
+    if (!cands.length) return null;
+    cands.sort((a, b) => (b.score - a.score) || (b.value - a.value));
+    const best = cands[0];
+    return { value: best.value, currency: best.currency };
+  }
+
+  function extractWithHeuristic(doc) {
+    const anchor = getTitleAnchor(doc);
+
+    // DOM-first
+    const root =
+      doc.querySelector("main") ||
+      doc.querySelector("[role='main']") ||
+      doc.querySelector("[data-testid*='product']") ||
+      doc;
+
+    const domCands = collectCandidates(root, anchor);
+    const domBest = pickBest(domCands);
+
+    // Meta/JSON-LD fallback
+    const metaBest = tryExtractFromMetaAndLdJson(doc);
+
+    // If we have DOM and META:
+    // - Prefer DOM when they disagree noticeably (because DOM is what the user sees)
+    if (domBest && metaBest) {
+      const a = domBest.value;
+      const b = metaBest.value;
+      const relDiff = Math.abs(a - b) / Math.max(1, Math.min(a, b));
+
+      if (relDiff >= 0.25) return { ...domBest, source: "dom:preferred_over_meta" };
+      // if similar, keep DOM anyway (more stable visually)
+      return { ...domBest, source: "dom:close_to_meta" };
+    }
+
+    if (domBest) return { ...domBest, source: "dom:best" };
+    if (metaBest) return metaBest;
+
+    // last resort: body (very noisy)
+    const text = doc.body?.innerText || doc.body?.textContent || "";
+    const last = extractPriceFromText(text);
+    return last ? { ...last, source: "body:fallback" } : null;
+  }
+
+  // =========================
+  // Saved selector (Select mode)
+  // =========================
+  // Class names / ids that look generated (css-1x9a2b, sc-bdVaJa, jsx-123456) change on deploys
+  const UNSTABLE_NAME_RE = /\d{3,}|^(css|sc|jsx|emotion|styled|svelte)-|(^|[-_])(?=[a-z]*\d)(?=\d*[a-z])[a-z0-9]{5,}$/i;
+  const STABLE_ATTRS = ["data-testid", "data-test-id", "data-test", "data-qa", "itemprop"];
+
+  // Names that need no escaping in a selector
+  const PLAIN_NAME_RE = /^[A-Za-z_][\w-]*$/;
+
+  function quoteAttr(value) {
+    return `"${String(value).replace(/["\\]/g, "\\$&")}"`;
+  }
+
+  function anchorPart(el) {
+    const tag = el.tagName.toLowerCase();
+    if (el.id && !UNSTABLE_NAME_RE.test(el.id)) return PLAIN_NAME_RE.test(el.id) ? `#${el.id}` : `[id=${quoteAttr(el.id)}]`;
+    for (const name of STABLE_ATTRS) {
+      const v = el.getAttribute(name);
+      if (v && v.length <= 60 && !/\d{3,}/.test(v)) return `${tag}[${name}=${quoteAttr(v)}]`;
+    }
+    return null;
+  }
+
+  function pathPart(el) {
+    const tag = el.tagName.toLowerCase();
+    const classes = [...el.classList]
+      .filter((c) => PLAIN_NAME_RE.test(c) && !c.startsWith("pc2-") && c.length <= 40 && !UNSTABLE_NAME_RE.test(c))
+      .slice(0, 2);
+    let part = tag + classes.map((c) => `.${c}`).join("");
+
+    const parent = el.parentElement;
+    if (parent) {
+      const same = [...parent.children].filter((c) => c.tagName === el.tagName);
+      if (same.length > 1 && !classes.length) part += `:nth-of-type(${same.indexOf(el) + 1})`;
+    }
+    return part;
+  }
+
+  // Shortest selector (walking up, max 6 levels) whose first match is el.
+  // Prefers ids / test attributes / stable class names over positions.
+  function selectorFor(el) {
+    if (!isElement(el)) return null;
+    const doc = el.ownerDocument;
+    const parts = [];
+    let node = el;
+
+    while (isElement(node) && node !== doc.documentElement && parts.length < 6) {
+      parts.unshift(anchorPart(node) || pathPart(node));
+      const selector = parts.join(" > ");
+      try {
+        if (doc.querySelector(selector) === el) return selector;
+      } catch {
+        return null;
+      }
+      node = node.parentElement;
+    }
+    return null;
+  }
+
+  function isHidden(el) {
+    const style = styleOf(el);
+    return style.display === "none" || style.visibility === "hidden";
+  }
+
+  // Price from the element(s) a saved selector points at, or null if it stopped matching
+  function extractWithSelector(doc, selector) {
+    let nodes = [];
+    try {
+      nodes = [...doc.querySelectorAll(selector)];
+    } catch {
+      return null;
+    }
+
+    for (const el of nodes) {
+      if (isHidden(el)) continue;
+      const p = extractPriceFromElement(el);
+      if (p) return { ...p, source: `selector:${selector}` };
+    }
+    return null;
+  }
+
+  // =========================
+  // Retailer adapters
+  // =========================
+  // Keyed by hostname (subdomains match too, www2.hm.com -> hm.com).
+  // price/title/sku: CSS selectors tried in order on the page. The JSON-LD Product
+  // block (all of these publish one for search engines) fills whatever the DOM
+  // didn't give, so a redesign degrades to structured data before the heuristic.
+  const ADAPTERS = [];
+
+  // Currency by top-level domain, since "kr" alone can be SEK, NOK or DKK
+  const TLD_CURRENCY = { se: "SEK", no: "NOK", dk: "DKK", fi: "EUR" };
+
+  function registerAdapter(adapter) {
+    if (!adapter?.id || !Array.isArray(adapter.hosts)) throw new Error("Adapter needs an id and hosts");
+    const i = ADAPTERS.findIndex((a) => a.id === adapter.id);
+    if (i > -1) ADAPTERS.splice(i, 1);
+    ADAPTERS.push(adapter);
+    return adapter;
+  }
+
+  function adapterFor(hostname) {
+    const host = String(hostname || "").toLowerCase().replace(/^www\d*\./, "");
+    if (!host) return null;
+    return ADAPTERS.find((a) => a.hosts.some((h) => host === h || host.endsWith(`.${h}`))) || null;
+  }
+
+  // "https://schema.org/InStock" -> "InStock"
+  function normalizeAvailability(raw) {
+    const s = String(raw || "").trim();
+    return s ? s.split("/").pop() : "";
+  }
+
+  function ldTypes(node) {
+    const t = node?.["@type"];
+    return Array.isArray(t) ? t : [t];
+  }
+
+  // First schema.org Product in the JSON-LD blocks -> { title, sku, value, currency, availability }
+  function productFromJsonLd(doc) {
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      let json;
+      try {
+        json = JSON.parse(script.textContent || "null");
+      } catch {
+        continue;
+      }
+
+      const nodes = (Array.isArray(json) ? json : [json]).flatMap((n) => [n, ...(Array.isArray(n?.["@graph"]) ? n["@graph"] : [])]);
+      const product = nodes.find((n) => ldTypes(n).includes("Product"));
+      if (!product) continue;
+
+      const offers = Array.isArray(product.offers) ? product.offers : product.offers ? [product.offers] : [];
+      const offer = offers.find((o) => o?.price != null || o?.lowPrice != null || o?.priceSpecification?.price != null) || offers[0] || {};
+      const value = parseFloat(String(offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price ?? "").replace(",", "."));
+
+      return {
+        title: String(product.name || "").trim(),
+        sku: String(product.sku || product.mpn || product.productID || "").trim(),
+        value: Number.isFinite(value) ? value : null,
+        currency: String(offer.priceCurrency || offer.priceSpecification?.priceCurrency || "").toUpperCase(),
+        availability: normalizeAvailability(offer.availability)
+      };
+    }
+    return null;
+  }
+
+  function firstText(doc, selectors = []) {
+    for (const sel of selectors) {
+      const node = doc.querySelector(sel);
+      const text = node && textFromNode(node);
+      if (text) return text;
+    }
+    return "";
+  }
+
+  function runAdapter(adapter, doc, hostname) {
+    const ld = productFromJsonLd(doc);
+    const tld = String(hostname || "").split(".").pop();
+
+    let price = null;
+    let source = "";
+    for (const sel of adapter.price || []) {
+      const node = doc.querySelector(sel);
+      price = node && extractPriceFromElement(node);
+      if (price) {
+        source = `adapter:${adapter.id}:dom`;
+        break;
+      }
+    }
+    if (!price && ld?.value) {
+      price = { value: ld.value, currency: ld.currency || "SEK" };
+      source = `adapter:${adapter.id}:jsonld`;
+    }
+    if (!price) return null;
+
+    // "kr" parses as SEK; the page's own currency wins
+    const currency = ld?.currency || TLD_CURRENCY[tld] || price.currency;
+
+    return {
+      value: price.value,
+      currency,
+      source,
+      product: {
+        title: ld?.title || firstText(doc, adapter.title),
+        sku: ld?.sku || firstText(doc, adapter.sku),
+        availability: ld?.availability || ""
+      }
+    };
+  }
+
+  // Major Nordic apparel retailers
+  [
+    {
+      id: "hm",
+      name: "H&M",
+      hosts: ["hm.com"],
+      price: ["[data-testid='price-container'] [data-testid='red-price']", "[data-testid='price-container']", "#product-price .price-value"],
+      title: ["h1[data-testid='product-name']", "h1.product-item-headline"],
+      sku: ["[data-testid='article-number']"]
+    },
+    {
+      id: "zalando",
+      name: "Zalando",
+      hosts: ["zalando.se", "zalando.no", "zalando.dk", "zalando.fi"],
+      price: ["[data-testid='pdp-price-container'] p"],
+      title: ["h1 span", "h1"],
+      sku: []
+    },
+    {
+      id: "boozt",
+      name: "Boozt",
+      hosts: ["boozt.com"],
+      price: ["[data-testid='product-price']", ".product-price__current", "[itemprop='price']"],
+      title: ["[data-testid='product-name']", "h1"],
+      sku: ["[itemprop='sku']"]
+    },
+    {
+      id: "lindex",
+      name: "Lindex",
+      hosts: ["lindex.com"],
+      price: [".product-price .price--sale", ".product-price .price", "[data-testid='product-price']"],
+      title: ["h1.product-name", "h1"],
+      sku: ["[data-testid='article-number']"]
+    },
+    {
+      id: "kappahl",
+      name: "KappAhl",
+      hosts: ["kappahl.com"],
+      price: ["[data-testid='product-price']", ".product-price"],
+      title: ["h1"],
+      sku: []
+    },
+    {
+      id: "ellos",
+      name: "Ellos",
+      hosts: ["ellos.se", "ellos.no", "ellos.dk", "ellos.fi"],
+      price: ["[data-testid='product-price']", ".product-price__price"],
+      title: ["h1"],
+      sku: ["[data-testid='product-number']"]
+    },
+    {
+      id: "ginatricot",
+      name: "Gina Tricot",
+      hosts: ["ginatricot.com"],
+      price: [".product-price .sale-price", ".product-price"],
+      title: ["h1"],
+      sku: []
+    },
+    {
+      id: "nakd",
+      name: "NA-KD",
+      hosts: ["na-kd.com"],
+      price: ["[data-testid='product-price']"],
+      title: ["h1"],
+      sku: []
+    },
+    {
+      id: "varner",
+      name: "Cubus / Dressmann / Bik Bok",
+      hosts: ["cubus.com", "dressmann.com", "bikbok.com"],
+      price: ["[data-testid='product-price']", ".product-price"],
+      title: ["h1"],
+      sku: []
+    }
+  ].forEach(registerAdapter);
+
+  /**
+   * options.selector: saved Select-mode selector for this site
+   * options.hostname: needed when doc has no real location (offscreen srcdoc)
+   * Returns null, a price, or { selectorMissed: true } (no value) when the saved
+   * selector missed and nothing else found a price either.
+   */
+  function extractPriceFromDocument(doc, options = {}) {
+    const hostname = options.hostname || doc.location?.hostname || "";
+    let selectorMissed = false;
+
+    if (options.selector) {
+      const picked = extractWithSelector(doc, options.selector);
+      if (picked) return picked;
+      selectorMissed = true;
+    }
+
+    const adapter = adapterFor(hostname);
+    const found = (adapter && runAdapter(adapter, doc, hostname)) || extractWithHeuristic(doc);
+    if (!selectorMissed) return found;
+    return found ? { ...found, selectorMissed } : { selectorMissed };
+  }
+
+  globalThis.PriceExtract = {
+    fromDocument: extractPriceFromDocument,
+    fromText: extractPriceFromText,
+    fromElement: extractPriceFromElement,
+    normalizeCurrency,
+    textWithoutStruck,
+    selectorFor,
+    adapters: ADAPTERS,
+    registerAdapter,
+    adapterFor
+  };
+})();
@@ -0,0 +1,61 @@
+/**
+ * price-utils.js
+ * Small shared price helpers (no chrome.* APIs in here)
+ *
+ * Used by:
+ * - content.js    -> widget prices and buy signal
+ * - popup.js      -> price summary
+ * - dashboard.js  -> watchlist table (and price-backup.js for productUrl)
+ * - price-chart.js -> axis labels, tooltip and legend
+ * - background.js -> target-price notifications and site access (via importScripts)
+ */
+(() => {
+  if (globalThis.PriceUtils) return;
+
+  // options go straight to Intl.NumberFormat (price-chart.js: { maximumFractionDigits: 0 })
+  function formatPrice(value, currency = "SEK", options = {}) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return "—";
+    try {
+      return new Intl.NumberFormat("sv-SE", { style: "currency", currency, ...options }).format(value);
+    } catch {
+      return `${value} ${currency}`;
+    }
+  }
+
+  // Within 3 % of the lowest seen price = buy, 15 % or more above it = wait
+  function computeSignal(current, lowest) {
+    if (!current || !lowest) return "—";
+    if (current <= lowest * 1.03) return "Good time to buy";
+    if (current >= lowest * 1.15) return "Consider waiting";
+    return "Fair price";
+  }
+
+  function pctChange(current, lowest) {
+    if (!current || !lowest || lowest === 0) return null;
+    return Math.round(((current - lowest) / lowest) * 100);
+  }
+
+  // productId = "host|canonicalUrl" (see getProductId in content.js)
+  function productUrl(productId) {
+    return productId.split("|").slice(1).join("|");
+  }
+
+  // Host permission pattern for a product URL ("https://shop.se/*"), or null.
+  // Background re-checks only fetch sites granted via optional_host_permissions.
+  function originPattern(url) {
+    try {
+      const { protocol, origin } = new URL(url);
+      return /^https?:$/.test(protocol) ? `${origin}/*` : null;
+    } catch {
+      return null;
+    }
+  }
+
+  globalThis.PriceUtils = {
+    formatPrice,
+    computeSignal,
+    pctChange,
+    productUrl,
+    originPattern
+  };
+})();